@@ -1,56 +1,319 @@
+/**
+ * Equation parse failure with a diagnostic the UI can point at:
+ * { code, message, start, end, fix } where [start, end) indexes the equation string
+ */
+class EquationParseError extends Error {
+    constructor(diagnostic) {
+        super(`Invalid equation: ${diagnostic.message}`);
+        this.name = 'EquationParseError';
+        this.diagnostic = diagnostic;
+    }
+}
+
 class EquationParser {
     constructor() {
-        this.parser = math.parser();
         this.colors = ['#ef4444', '#10b981', '#3b82f6', '#8b5cf6', '#f59e0b', '#ec4899'];
         this.colorIndex = 0;
 
-        // List of math functions to preserve during preprocessing
-        this.mathFunctions = [
-            'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
-            'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth',
-            'asin', 'acos', 'atan', 'asec', 'acsc', 'acot',
-            'asinh', 'acosh', 'atanh',
-            'arcsin', 'arccos', 'arctan', 'arcsec', 'arccsc', 'arccot',
-            'sqrt', 'cbrt', 'abs', 'log', 'ln', 'exp',
-            'floor', 'ceil', 'round', 'sign', 'mod'
-        ];
+        // Tokenizer and grammar for the expressions on each side of an equation
+        this.expressionParser = new ExpressionParser();
+
+        // Slider parameter values by name ({a: 2, ...}), read by every equation
+        // this parser creates; update it in place, equations keep a reference
+        this.parameters = {};
+
+        // User-defined functions by name ("f(x) = x^2 - 3"), kept in dependency
+        // order; calls are inlined when an equation is parsed (see defineFunction)
+        this.functions = {};
+        this.usedFunctions = new Set(); // Functions called by the equation being parsed
+
+        // Physics zone presets for inequality regions ("y < -3 @water")
+        this.zonePresets = {
+            water: { airDrag: 0.8, rollingFriction: 0.15, gravityScale: 0.4 },
+            ice: { rollingFriction: 0.002 },
+            antigravity: { gravityScale: -1 },
+            booster: { push: { x: 6, y: 0 } }
+        };
+
+        // Surface material presets for curves and solid regions ("y = x^2 @bouncy")
+        this.materialPresets = {
+            sticky: { friction: 0.1, bounciness: 0.1, stickiness: 0.8 },
+            slippery: { friction: 0.002 },
+            bouncy: { bounciness: 0.95 }
+        };
     }
 
     parseEquation(equationString) {
+        let bodyOffset = 0; // Where the body starts in equationString, to place syntax errors
         try {
-            // Clean up the equation string
-            let cleanEquation = equationString.trim();
+            // Clean up the equation string and split off "@..." annotations
+            const { body, annotations, offset } = this.extractAnnotations(equationString);
+            bodyOffset = offset;
+            this.usedFunctions = new Set();
+            const equation = this.parseBody(body);
+
+            equation.original = equationString;
+            equation.parameterNames = equation.parameterNames ?? [...new Set([equation.compiled, equation.xCompiled, equation.yCompiled]
+                .flatMap(compiled => compiled?.parameterNames ?? []))];
+            equation.functionNames = [...this.usedFunctions];
+            this.applyAnnotations(equation, annotations);
+
+            return equation;
+        } catch (error) {
+            throw new EquationParseError(this.createDiagnostic(error, equationString, bodyOffset));
+        }
+    }
 
-            // Handle piecewise functions
-            if (cleanEquation.includes('{')) {
-                return this.parsePiecewise(cleanEquation);
+    /**
+     * Diagnostic for a parse error, with its range in the full equation string
+     * Syntax errors point at the offending characters; anything else covers the whole equation
+     * @param {number} bodyOffset - Where the body (the string syntax error ranges index) starts
+     */
+    createDiagnostic(error, equationString, bodyOffset) {
+        if (error instanceof ExpressionSyntaxError) {
+            return {
+                code: error.code,
+                message: error.message,
+                start: bodyOffset + error.start,
+                end: bodyOffset + error.end,
+                fix: error.fix
+            };
+        }
+
+        return { code: 'invalid_equation', message: error.message, start: 0, end: equationString.length, fix: null };
+    }
+
+    parseBody(cleanEquation) {
+        // Handle parameter domains ("x = t, y = t^2 {-3 < t < 3}") and piecewise functions
+        if (cleanEquation.includes('{')) {
+            const condition = cleanEquation.substring(cleanEquation.indexOf('{'));
+            if (/\b(t|theta)\b|θ/.test(condition)) {
+                return this.parseWithDomain(cleanEquation);
             }
+            return this.parsePiecewise(cleanEquation);
+        }
 
-            // Detect equation type
-            const equationType = this.detectEquationType(cleanEquation);
-
-            switch (equationType) {
-                case 'explicit_y':
-                    return this.parseExplicitY(cleanEquation);
-                case 'explicit_x':
-                    return this.parseExplicitX(cleanEquation);
-                case 'constant_x':
-                    return this.parseConstantX(cleanEquation);
-                case 'constant_y':
-                    return this.parseConstantY(cleanEquation);
-                case 'implicit':
-                    return this.parseImplicit(cleanEquation);
-                case 'parametric':
-                    return this.parseParametric(cleanEquation);
-                case 'polar':
-                    return this.parsePolar(cleanEquation);
-                case 'inequality':
-                    return this.parseInequality(cleanEquation);
-                default:
-                    throw new Error('Unsupported equation type');
+        // Detect equation type
+        const equationType = this.detectEquationType(cleanEquation);
+
+        switch (equationType) {
+            case 'explicit_y':
+                return this.parseExplicitY(cleanEquation);
+            case 'explicit_x':
+                return this.parseExplicitX(cleanEquation);
+            case 'constant_x':
+                return this.parseConstantX(cleanEquation);
+            case 'constant_y':
+                return this.parseConstantY(cleanEquation);
+            case 'implicit':
+                return this.parseImplicit(cleanEquation);
+            case 'parametric':
+                return this.parseParametric(cleanEquation);
+            case 'polar':
+                return this.parsePolar(cleanEquation);
+            case 'inequality':
+                return this.parseInequality(cleanEquation);
+            case 'parameter':
+                return this.parseParameter(cleanEquation);
+            case 'function':
+                return this.parseFunctionDefinition(cleanEquation);
+            default:
+                throw new Error('Unsupported equation type');
+        }
+    }
+
+    /**
+     * Parse a parametric or polar curve restricted to a parameter domain
+     * e.g. "x = t, y = t^2 {-3 < t < 3}" or "r = θ {0 < θ < 6π}"
+     */
+    parseWithDomain(equationString) {
+        const parts = equationString.split('{');
+        if (parts.length !== 2) {
+            throw new Error('Invalid domain format');
+        }
+
+        const body = parts[0].trim();
+        const condition = parts[1].replace('}', '');
+        const conditionOffset = parts[0].length + 1;
+
+        switch (this.detectEquationType(body)) {
+            case 'parametric':
+                return this.parseParametric(body, this.parseDomain(condition, 't', { min: 0, max: 2 * Math.PI }, conditionOffset));
+            case 'polar':
+                return this.parsePolar(body, this.parseDomain(condition, 'theta', { min: 0, max: 4 * Math.PI }, conditionOffset));
+            default:
+                throw new Error('Only parametric (t) and polar (θ) curves take a parameter domain');
+        }
+    }
+
+    /**
+     * Parse a parameter domain such as "-3 < t < 3", "0 <= θ <= 6π" or "t > 0"
+     * Bounds may be expressions (2pi, pi/2); a one-sided domain keeps the other default bound
+     * @param {number} [offset] - Where conditionStr starts in the equation, for error ranges
+     */
+    parseDomain(conditionStr, variable, defaults, offset = 0) {
+        const name = variable === 'theta' ? 'θ' : variable;
+        const rawParts = conditionStr.split(/(<=|>=|≤|≥|<|>)/);
+        const parts = rawParts.map(part => part.trim());
+        const variableIndex = parts.findIndex(part => part === variable || (variable === 'theta' && part === 'θ'));
+
+        if ((parts.length !== 3 && parts.length !== 5) || variableIndex % 2 !== 0 ||
+            (parts.length === 5 && variableIndex !== 2)) {
+            throw new Error(`Invalid domain, e.g. {0 < ${name} < 5}`);
+        }
+
+        const domain = { ...defaults };
+        for (let i = 1; i < parts.length; i += 2) {
+            // "a < t" gives a lower bound, "t < b" an upper one (and the reverse for >)
+            const boundBefore = i < variableIndex;
+            const bound = boundBefore ? i - 1 : i + 1;
+            const boundOffset = offset + rawParts.slice(0, bound).join('').length;
+            const value = this.parseExpression(rawParts[bound], boundOffset).evaluate();
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Domain bounds for ${name} must be numbers`);
+            }
+
+            const isLess = parts[i].includes('<') || parts[i] === '≤';
+            if (isLess === boundBefore) {
+                domain.min = value;
+            } else {
+                domain.max = value;
+            }
+        }
+
+        if (!(domain.min < domain.max)) {
+            throw new Error(`Domain for ${name} is empty`);
+        }
+
+        return domain;
+    }
+
+    /**
+     * Split "@name" / "@name=value" annotations off an equation string
+     * e.g. "y < -3 @water @drag=1" -> body "y < -3", [{name: 'water'}, {name: 'drag', value: '1'}]
+     * Annotations are blanked rather than cut out, so the body keeps its positions;
+     * offset is where the (trimmed) body starts in equationString
+     */
+    extractAnnotations(equationString) {
+        const annotations = [];
+        const blanked = equationString.replace(/@([a-zA-Z]+)(?:\s*=\s*([^\s@]+))?/g, (match, name, value) => {
+            annotations.push({ name: name.toLowerCase(), value: value ?? null });
+            return ' '.repeat(match.length);
+        });
+
+        return { body: blanked.trim(), annotations, offset: blanked.length - blanked.trimStart().length };
+    }
+
+    /**
+     * Apply parsed annotations to an equation object
+     *
+     * Zones (inequalities only): a preset (@water, @ice, @antigravity, @booster)
+     * or @zone, tuned with @drag=, @friction=, @gravity= (scale) and @push=x,y.
+     * A zone changes physics inside the region instead of being solid.
+     *
+     * Materials (curves and solid regions): a preset (@sticky, @slippery, @bouncy)
+     * tuned with @friction=, @bounce= and @stick= (0-1).
+     *
+     * Sliders (parameters only): @min=, @max= and @step=.
+     */
+    applyAnnotations(equation, annotations) {
+        if (annotations.length === 0) return;
+
+        if (equation.type === 'parameter') {
+            this.applySliderSettings(equation, annotations);
+            return;
+        }
+
+        if (equation.type === 'function') {
+            throw new Error('Function definitions take no annotations; add them where the function is used');
+        }
+
+        const isZone = annotations.some(a => a.name === 'zone' || this.zonePresets[a.name]);
+
+        if (isZone && equation.type !== 'inequality') {
+            throw new Error('Zones can only be applied to inequalities (e.g. y < -3 @water)');
+        }
+
+        const settings = {};
+        for (const { name, value } of annotations) {
+            if (name === 'zone') continue;
+
+            if (isZone && this.zonePresets[name]) {
+                Object.assign(settings, this.zonePresets[name]);
+            } else if (isZone && ['drag', 'friction', 'gravity', 'push'].includes(name)) {
+                this.applyZoneSetting(settings, name, value);
+            } else if (!isZone && this.materialPresets[name]) {
+                Object.assign(settings, this.materialPresets[name]);
+            } else if (!isZone && ['friction', 'bounce', 'stick'].includes(name)) {
+                this.applyMaterialSetting(settings, name, value);
+            } else {
+                throw new Error(`Unknown annotation @${name}`);
             }
-        } catch (error) {
-            throw new Error(`Invalid equation: ${error.message}`);
+        }
+
+        if (isZone) {
+            equation.zone = settings;
+            equation.color = equation.color.substring(0, 7) + '26'; // Fainter than solid regions
+        } else {
+            equation.material = settings;
+        }
+    }
+
+    applyMaterialSetting(material, name, value) {
+        const number = Number(value);
+        if (value === null || isNaN(number) || number < 0) {
+            throw new Error(`@${name} needs a non-negative number, e.g. @${name}=0.5`);
+        }
+
+        switch (name) {
+            case 'friction':
+                material.friction = number;
+                break;
+            case 'bounce':
+                material.bounciness = number;
+                break;
+            case 'stick':
+                material.stickiness = Math.min(number, 1);
+                break;
+        }
+    }
+
+    applySliderSettings(parameter, annotations) {
+        for (const { name, value } of annotations) {
+            const number = Number(value);
+            if (!['min', 'max', 'step'].includes(name)) {
+                throw new Error(`Unknown annotation @${name} (sliders take @min=, @max= and @step=)`);
+            }
+            if (value === null || !isFinite(number) || (name === 'step' && number <= 0)) {
+                throw new Error(`@${name} needs a${name === 'step' ? ' positive' : ''} number, e.g. @${name}=${name === 'min' ? -5 : name === 'max' ? 5 : 0.5}`);
+            }
+            parameter[name] = number;
+        }
+
+        if (!(parameter.min <= parameter.value && parameter.value <= parameter.max)) {
+            throw new Error(`Slider range @min=${parameter.min} @max=${parameter.max} must include ${parameter.name} = ${parameter.value}`);
+        }
+    }
+
+    applyZoneSetting(zone, name, value) {
+        const numbers = (value ?? '').split(',').map(Number);
+        if (numbers.some(isNaN) || (name === 'push' ? numbers.length !== 2 : numbers.length !== 1)) {
+            throw new Error(name === 'push' ? '@push needs two numbers, e.g. @push=3,0' : `@${name} needs a number, e.g. @${name}=0.5`);
+        }
+
+        switch (name) {
+            case 'drag':
+                zone.airDrag = numbers[0];
+                break;
+            case 'friction':
+                zone.rollingFriction = numbers[0];
+                break;
+            case 'gravity':
+                zone.gravityScale = numbers[0];
+                break;
+            case 'push':
+                zone.push = { x: numbers[0], y: numbers[1] };
+                break;
         }
     }
 
@@ -59,14 +322,28 @@ class EquationParser {
         const clean = equation.replace(/\s/g, '');
         const lower = clean.toLowerCase();
 
-        // Check for polar equations (r = ..., uses θ or theta)
-        if (lower.startsWith('r=') && (clean.includes('θ') || lower.includes('theta'))) {
+        // Check for slider parameter definitions (a = 2)
+        if (/^[a-zA-Z]=/.test(clean) && this.isParameterName(clean[0])) {
+            return 'parameter';
+        }
+
+        // Check for function definitions (f(x) = ...), named like sliders so
+        // parametric x(t) = ... and products like sin(x) = ... aren't matched
+        const definition = clean.match(/^([a-zA-Z])\([a-zA-Z](,[a-zA-Z])*\)=/);
+        if (definition && this.isParameterName(definition[1])) {
+            return 'function';
+        }
+
+        // Check for polar equations (r = ..., uses θ or theta, or a constant radius like r = 3)
+        if (lower.startsWith('r=') &&
+            (clean.includes('θ') || lower.includes('theta') || !/[xy]/.test(lower.substring(2)))) {
             return 'polar';
         }
 
         // Check for parametric equations (x = f(t), y = g(t) or x(t) = ..., y(t) = ...)
+        // The comma must be outside brackets, so y = nthroot(x, 3) isn't matched
         if ((clean.includes('x(t)') || clean.includes('y(t)')) ||
-            (clean.includes(',') && clean.includes('t') && !clean.includes('theta'))) {
+            (this.splitTopLevel(clean, ',').length > 1 && clean.includes('t') && !clean.includes('theta'))) {
             return 'parametric';
         }
 
@@ -82,7 +359,7 @@ class EquationParser {
         if (lower.startsWith('x=')) {
             const rightSide = clean.substring(2);
             // If right side is just a number, it's a constant
-            if (/^-?\d+\.?\d*$/.test(rightSide)) {
+            if (this.parseConstantValue(equation) !== null) {
                 return 'constant_x';
             }
             // If right side contains only y (and numbers/operators), it's explicit_x
@@ -93,9 +370,8 @@ class EquationParser {
 
         // Check for constant y = number (horizontal line)
         if (lower.startsWith('y=')) {
-            const rightSide = clean.substring(2);
             // If right side is just a number, it's a constant
-            if (/^-?\d+\.?\d*$/.test(rightSide)) {
+            if (this.parseConstantValue(equation) !== null) {
                 return 'constant_y';
             }
             return 'explicit_y';
@@ -124,18 +400,269 @@ class EquationParser {
         throw new Error('Cannot determine equation type');
     }
 
-    parseExplicitY(equationString) {
-        let cleanEquation = equationString.trim();
+    /**
+     * Differentiate a parsed expression, folding constants only
+     * (full simplification is too slow to run on every edit)
+     */
+    differentiate(expr, variable) {
+        return math.simplifyConstant(math.derivative(expr, variable, { simplify: false }));
+    }
 
-        // Remove 'y =' if present
-        if (cleanEquation.toLowerCase().startsWith('y=') || cleanEquation.toLowerCase().startsWith('y =')) {
-            cleanEquation = cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim();
+    /**
+     * Symbolic first and second derivatives of f(variable), compiled
+     * Returns null if math.js can't differentiate the expression (e.g. floor, mod);
+     * the physics then falls back to finite differences
+     */
+    createDerivatives(expr, variable) {
+        try {
+            const first = this.differentiate(expr, variable);
+            const second = this.differentiate(first, variable);
+            return { first: this.compileExpression(first), second: this.compileExpression(second) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Symbolic first and second partials of f(x, y), compiled
+     * Returns null if math.js can't differentiate the expression
+     */
+    createPartials(expr) {
+        try {
+            const fx = this.differentiate(expr, 'x');
+            const fy = this.differentiate(expr, 'y');
+            return {
+                fx: this.compileExpression(fx),
+                fy: this.compileExpression(fy),
+                fxx: this.compileExpression(this.differentiate(fx, 'x')),
+                fyy: this.compileExpression(this.differentiate(fy, 'y')),
+                fxy: this.compileExpression(this.differentiate(fx, 'y'))
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a slider parameter definition such as "a = 2"
+     * Its range and step come from @min=, @max= and @step= (see applyAnnotations)
+     */
+    parseParameter(equationString) {
+        const name = equationString.trim()[0];
+        if (this.functions[name]) {
+            throw new Error(`${name} is already a function, so it can't be a slider too`);
+        }
+
+        const valueStart = equationString.indexOf('=') + 1;
+        const value = this.parseExpression(equationString.substring(valueStart), valueStart).evaluate();
+
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(`${name} must be a number, e.g. ${name} = 2`);
+        }
+
+        return this.createParameter(name, value);
+    }
+
+    /**
+     * A slider parameter, by default ranging over -10..10 (widened to include value) in steps of 0.1
+     */
+    createParameter(name, value = 1) {
+        return {
+            original: `${name} = ${value}`,
+            type: 'parameter',
+            name: name,
+            value: value,
+            min: Math.min(-10, value),
+            max: Math.max(10, value),
+            step: 0.1
+        };
+    }
+
+    /**
+     * Parse a function definition such as "f(x) = x^2 - 3" or "g(a, b) = a*b"
+     * Functions it calls must already be defined; register the result with defineFunction
+     */
+    parseFunctionDefinition(equationString) {
+        const match = equationString.match(/^\s*([a-zA-Z])\s*\(([^)]*)\)\s*=(.*)$/);
+        const name = match[1];
+        const params = match[2].split(',').map(param => param.trim());
+
+        if (new Set(params).size !== params.length) {
+            throw new Error(`${name} has the same argument twice`);
+        }
+
+        const body = this.parseExpression(match[3], equationString.length - match[3].length);
+        const parameterNames = this.findParameters(body).filter(symbol => !params.includes(symbol));
+
+        // f(x) = f(x) + 1 (f is still a slider the first time), or f -> g -> f
+        const cycle = [...this.usedFunctions].find(used => used === name || this.functionDependsOn(used, name));
+        if (cycle || parameterNames.includes(name)) {
+            throw new Error(!cycle || cycle === name
+                ? `${name} can't be defined in terms of itself`
+                : `${name} uses ${cycle}, which already uses ${name}`);
         }
 
-        cleanEquation = this.preprocessEquation(cleanEquation);
+        return {
+            original: equationString,
+            expression: `${name}(${params.join(', ')}) = ${body.toString()}`,
+            type: 'function',
+            name: name,
+            params: params,
+            body: body,
+            parameterNames: parameterNames
+        };
+    }
+
+    /**
+     * Whether a defined function calls another, directly or through others
+     */
+    functionDependsOn(name, other) {
+        const definition = this.functions[name];
+        return Boolean(definition) && definition.functionNames.some(used =>
+            used === other || this.functionDependsOn(used, other));
+    }
+
+    /**
+     * Add or replace a user-defined function; later equations can call it
+     * Definitions that use it are parsed again so they see the new body
+     * @param {Object} definition - From parseEquation ("f(x) = ...")
+     * @returns {Array<string>} Every function that changed: this one and its dependents
+     * @throws {EquationParseError} If a dependent no longer parses (e.g. f lost an argument)
+     */
+    defineFunction(definition) {
+        const dependents = Object.values(this.functions);
+
+        // Re-adding moves a definition after everything it uses
+        delete this.functions[definition.name];
+        this.functions[definition.name] = definition;
+        this.expressionParser.functions[definition.name] = definition.name;
+
+        const changed = [definition.name];
+        dependents.forEach(other => {
+            if (other.name === definition.name || !other.functionNames.some(used => changed.includes(used))) return;
+
+            const reparsed = this.parseEquation(other.original);
+            delete this.functions[other.name];
+            this.functions[other.name] = reparsed;
+            changed.push(other.name);
+        });
+
+        return changed;
+    }
+
+    /**
+     * First equation, or else user-defined function, that uses a name,
+     * e.g. to refuse removing a slider or function something still needs
+     * @param {Array} equations - Parsed equations in play
+     * @param {string} names - Which names to look in: 'parameterNames' (sliders) or 'functionNames'
+     * @returns {Object|null} The equation or function definition
+     */
+    findUser(name, equations, names) {
+        return [...equations, ...Object.values(this.functions)].find(user => user[names].includes(name)) ?? null;
+    }
+
+    removeFunction(name) {
+        delete this.functions[name];
+        delete this.expressionParser.functions[name];
+    }
+
+    /**
+     * Replace every user-defined function (undoing a definition, loading a run)
+     * @param {Object} functions - Definitions by name, in dependency order
+     */
+    setFunctions(functions) {
+        Object.keys(this.functions).forEach(name => this.removeFunction(name));
+        Object.values(functions).forEach(definition => {
+            this.functions[definition.name] = definition;
+            this.expressionParser.functions[definition.name] = definition.name;
+        });
+    }
+
+    /**
+     * Replace calls to user-defined functions with their bodies, so derivatives
+     * stay symbolic; records the functions called in usedFunctions
+     */
+    expandFunctions(expr) {
+        return expr.transform(node => {
+            if (!node.isFunctionNode || !this.functions[node.fn.name]) return node;
+
+            const definition = this.functions[node.fn.name];
+            if (node.args.length !== definition.params.length) {
+                const count = definition.params.length;
+                throw new Error(`${definition.name} takes ${count} argument${count > 1 ? 's' : ''}, e.g. ${definition.name}(${definition.params.join(', ')})`);
+            }
+            this.usedFunctions.add(definition.name);
+
+            // Bodies are stored expanded, so only the arguments need it
+            const args = node.args.map(arg => this.expandFunctions(arg));
+            return new math.ParenthesisNode(definition.body.transform(inner => {
+                const index = inner.isSymbolNode ? definition.params.indexOf(inner.name) : -1;
+                if (index < 0) return inner;
+                return args[index].isSymbolNode || args[index].isConstantNode ? args[index] : new math.ParenthesisNode(args[index]);
+            }));
+        });
+    }
+
+    /**
+     * Parse an equation again (after a function it uses changed), keeping its color
+     */
+    reparseEquation(equation) {
+        const colorIndex = this.colorIndex;
+        const reparsed = this.parseEquation(equation.original);
+        this.colorIndex = colorIndex;
+        reparsed.color = equation.color;
+        return reparsed;
+    }
+
+    /**
+     * Whether a symbol is a slider parameter: any single letter except the
+     * curve variables x, y, t and r and the constant e
+     */
+    isParameterName(name) {
+        return /^[a-zA-Z]$/.test(name) && !['x', 'y', 't', 'r', 'e'].includes(name);
+    }
 
-        const expr = math.parse(cleanEquation);
+    /**
+     * Slider parameters an expression uses, e.g. ['a', 'b'] for a*x^2 + b
+     */
+    findParameters(expr) {
+        const names = new Set();
+        expr.traverse((node, path, parent) => {
+            // Function names are symbols too (sin in sin(x))
+            const isFunctionName = parent && parent.isFunctionNode && parent.fn === node;
+            if (node.isSymbolNode && !isFunctionName && this.isParameterName(node.name)) {
+                names.add(node.name);
+            }
+        });
+        return [...names];
+    }
+
+    /**
+     * Compile an expression so it reads its slider parameters from this.parameters
+     * The result lists them as parameterNames
+     */
+    compileExpression(expr) {
         const compiled = expr.compile();
+        const parameterNames = this.findParameters(expr);
+
+        if (parameterNames.length === 0) {
+            compiled.parameterNames = parameterNames;
+            return compiled;
+        }
+
+        const parameters = this.parameters;
+        return {
+            parameterNames: parameterNames,
+            evaluate: scope => compiled.evaluate({ ...parameters, ...scope })
+        };
+    }
+
+    parseExplicitY(equationString) {
+        // Remove 'y =' if present
+        const side = this.stripPrefix(equationString, /^\s*y\s*=/i);
+
+        const expr = this.parseExpression(side.text, side.offset);
+        const compiled = this.compileExpression(expr);
 
         // Test evaluation
         try {
@@ -146,8 +673,9 @@ class EquationParser {
 
         return {
             original: equationString,
-            expression: cleanEquation,
+            expression: expr.toString(),
             compiled: compiled,
+            derivatives: this.createDerivatives(expr, 'x'),
             color: this.getNextColor(),
             type: 'explicit_y',
             evaluate: function (x) {
@@ -157,6 +685,21 @@ class EquationParser {
                     return NaN;
                 }
             },
+            // Symbolic dy/dx and d²y/dx² (NaN where unavailable)
+            derivative: function (x) {
+                try {
+                    return this.derivatives ? this.derivatives.first.evaluate({ x: x }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            secondDerivative: function (x) {
+                try {
+                    return this.derivatives ? this.derivatives.second.evaluate({ x: x }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
             getPoints: function (xMin, xMax, step = 0.1) {
                 const points = [];
                 for (let x = xMin; x <= xMax; x += step) {
@@ -171,22 +714,19 @@ class EquationParser {
     }
 
     parseExplicitX(equationString) {
-        let cleanEquation = equationString.trim();
-
         // Remove 'x =' if present
-        if (cleanEquation.toLowerCase().startsWith('x=') || cleanEquation.toLowerCase().startsWith('x =')) {
-            cleanEquation = cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim();
-        }
+        const side = this.stripPrefix(equationString, /^\s*x\s*=/i);
 
-        cleanEquation = this.preprocessEquation(cleanEquation.replace(/x/g, 'y')); // Replace x with y for evaluation
-
-        const expr = math.parse(cleanEquation);
-        const compiled = expr.compile();
+        // Rename x to y on the parsed tree, so x = f(x) is read as x = f(y)
+        const expr = this.parseExpression(side.text, side.offset).transform(node =>
+            node.isSymbolNode && node.name === 'x' ? new math.SymbolNode('y') : node);
+        const compiled = this.compileExpression(expr);
 
         return {
             original: equationString,
-            expression: cleanEquation,
+            expression: expr.toString(),
             compiled: compiled,
+            derivatives: this.createDerivatives(expr, 'y'),
             color: this.getNextColor(),
             type: 'explicit_x',
             evaluate: function (y) {
@@ -196,6 +736,21 @@ class EquationParser {
                     return NaN;
                 }
             },
+            // Symbolic dx/dy and d²x/dy² (NaN where unavailable)
+            derivative: function (y) {
+                try {
+                    return this.derivatives ? this.derivatives.first.evaluate({ y: y }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            secondDerivative: function (y) {
+                try {
+                    return this.derivatives ? this.derivatives.second.evaluate({ y: y }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
             getPoints: function (yMin, yMax, step = 0.1) {
                 const points = [];
                 for (let y = yMin; y <= yMax; y += step) {
@@ -209,13 +764,22 @@ class EquationParser {
         };
     }
 
-    parseConstantX(equationString) {
-        let cleanEquation = equationString.trim();
+    /**
+     * Value of the right side of "x = ..." or "y = ..." if it is a single number
+     * (e.g. "y = -2"), otherwise null. The side is parsed rather than pattern-matched,
+     * so a typo like "y = 2 3" is a syntax error instead of the line y = 2
+     */
+    parseConstantValue(equationString) {
+        const valueStart = equationString.indexOf('=') + 1;
+        const expr = this.parseExpression(equationString.substring(valueStart), valueStart);
+        const number = expr.isOperatorNode && expr.fn === 'unaryMinus' ? expr.args[0] : expr;
+        return number.isConstantNode ? expr.evaluate() : null;
+    }
 
-        // Extract the constant value
-        const value = parseFloat(cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim());
+    parseConstantX(equationString) {
+        const value = this.parseConstantValue(equationString);
 
-        if (isNaN(value)) {
+        if (value === null) {
             throw new Error('Invalid constant value');
         }
 
@@ -228,6 +792,12 @@ class EquationParser {
             evaluate: function (y) {
                 return this.value;
             },
+            derivative: function (y) {
+                return 0;
+            },
+            secondDerivative: function (y) {
+                return 0;
+            },
             getPoints: function (yMin, yMax, step = 0.1) {
                 const points = [];
                 for (let y = yMin; y <= yMax; y += step) {
@@ -239,12 +809,9 @@ class EquationParser {
     }
 
     parseConstantY(equationString) {
-        let cleanEquation = equationString.trim();
-
-        // Extract the constant value
-        const value = parseFloat(cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim());
+        const value = this.parseConstantValue(equationString);
 
-        if (isNaN(value)) {
+        if (value === null) {
             throw new Error('Invalid constant value');
         }
 
@@ -257,6 +824,12 @@ class EquationParser {
             evaluate: function (x) {
                 return this.value;
             },
+            derivative: function (x) {
+                return 0;
+            },
+            secondDerivative: function (x) {
+                return 0;
+            },
             getPoints: function (xMin, xMax, step = 0.1) {
                 const points = [];
                 for (let x = xMin; x <= xMax; x += step) {
@@ -276,18 +849,15 @@ class EquationParser {
             throw new Error('Implicit equation must have exactly one = sign');
         }
 
-        let leftSide = this.preprocessEquation(parts[0].trim());
-        let rightSide = this.preprocessEquation(parts[1].trim());
-
         // Create function f(x,y) = leftSide - rightSide
-        const expression = `(${leftSide}) - (${rightSide})`;
-        const expr = math.parse(expression);
-        const compiled = expr.compile();
+        const expr = this.parseDifference(parts[0], parts[1], cleanEquation.length - parts[1].length);
+        const compiled = this.compileExpression(expr);
 
         return {
             original: equationString,
-            expression: expression,
+            expression: expr.toString(),
             compiled: compiled,
+            derivatives: this.createPartials(expr),
             color: this.getNextColor(),
             type: 'implicit',
             evaluate: function (x, y) {
@@ -297,6 +867,22 @@ class EquationParser {
                     return NaN;
                 }
             },
+            // Symbolic partial derivatives {fx, fy, fxx, fyy, fxy}, or null where unavailable
+            partials: function (x, y) {
+                if (!this.derivatives) return null;
+                try {
+                    const scope = { x: x, y: y };
+                    return {
+                        fx: this.derivatives.fx.evaluate(scope),
+                        fy: this.derivatives.fy.evaluate(scope),
+                        fxx: this.derivatives.fxx.evaluate(scope),
+                        fyy: this.derivatives.fyy.evaluate(scope),
+                        fxy: this.derivatives.fxy.evaluate(scope)
+                    };
+                } catch (error) {
+                    return null;
+                }
+            },
             getPoints: function (xMin, xMax, yMin, yMax, resolution = 100) {
                 const points = [];
                 const xStep = (xMax - xMin) / resolution;
@@ -362,25 +948,19 @@ class EquationParser {
         };
     }
 
-    parsePolar(equationString) {
-        let cleanEquation = equationString.trim();
-
+    parsePolar(equationString, domain = { min: 0, max: 4 * Math.PI }) {
         // Remove 'r =' if present
-        if (cleanEquation.toLowerCase().startsWith('r=') || cleanEquation.toLowerCase().startsWith('r =')) {
-            cleanEquation = cleanEquation.substring(cleanEquation.indexOf('=') + 1).trim();
-        }
+        const side = this.stripPrefix(equationString, /^\s*r\s*=/i);
 
-        // Replace theta symbols
-        cleanEquation = cleanEquation.replace(/θ/g, 'theta');
-        cleanEquation = this.preprocessEquation(cleanEquation);
-
-        const expr = math.parse(cleanEquation);
-        const compiled = expr.compile();
+        const expr = this.parseExpression(side.text, side.offset);
+        const compiled = this.compileExpression(expr);
 
         return {
             original: equationString,
-            expression: cleanEquation,
+            expression: expr.toString(),
             compiled: compiled,
+            derivatives: this.createDerivatives(expr, 'theta'),
+            domain: domain,
             color: this.getNextColor(),
             type: 'polar',
             evaluate: function (theta) {
@@ -390,9 +970,27 @@ class EquationParser {
                     return NaN;
                 }
             },
-            getPoints: function (thetaMin = 0, thetaMax = 4 * Math.PI, step = 0.02) {
+            // Symbolic dr/dθ and d²r/dθ² (NaN where unavailable)
+            derivative: function (theta) {
+                try {
+                    return this.derivatives ? this.derivatives.first.evaluate({ theta: theta }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            secondDerivative: function (theta) {
+                try {
+                    return this.derivatives ? this.derivatives.second.evaluate({ theta: theta }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            getPoints: function (thetaMin = this.domain.min, thetaMax = this.domain.max, step = 0.02) {
                 const points = [];
-                for (let theta = thetaMin; theta <= thetaMax; theta += step) {
+                // Sample by index so the end of the domain is always included
+                const count = Math.ceil((thetaMax - thetaMin) / step);
+                for (let i = 0; i <= count; i++) {
+                    const theta = Math.min(thetaMin + i * step, thetaMax);
                     const r = this.evaluate(theta);
                     if (!isNaN(r) && isFinite(r)) {
                         // Convert polar to Cartesian
@@ -408,43 +1006,32 @@ class EquationParser {
         };
     }
 
-    parseParametric(equationString) {
-        let cleanEquation = equationString.trim();
-
-        // Split by comma or semicolon
-        let parts = cleanEquation.split(/[,;]/);
+    parseParametric(equationString, domain = { min: 0, max: 2 * Math.PI }) {
+        // Split by comma or semicolon (not the commas between function arguments)
+        const parts = this.splitTopLevel(equationString, ',;');
 
         if (parts.length !== 2) {
             throw new Error('Parametric equation must have two parts: x = f(t), y = g(t)');
         }
 
-        let xPart = parts[0].trim();
-        let yPart = parts[1].trim();
-
         // Remove 'x =' and 'y =' prefixes
-        if (xPart.toLowerCase().startsWith('x=') || xPart.toLowerCase().startsWith('x =') ||
-            xPart.toLowerCase().startsWith('x(t)=') || xPart.toLowerCase().startsWith('x(t) =')) {
-            xPart = xPart.substring(xPart.indexOf('=') + 1).trim();
-        }
-        if (yPart.toLowerCase().startsWith('y=') || yPart.toLowerCase().startsWith('y =') ||
-            yPart.toLowerCase().startsWith('y(t)=') || yPart.toLowerCase().startsWith('y(t) =')) {
-            yPart = yPart.substring(yPart.indexOf('=') + 1).trim();
-        }
-
-        xPart = this.preprocessEquation(xPart);
-        yPart = this.preprocessEquation(yPart);
+        const xPart = this.stripPrefix(parts[0], /^\s*x\s*(\(t\)\s*)?=/i);
+        const yPart = this.stripPrefix(parts[1], /^\s*y\s*(\(t\)\s*)?=/i);
 
-        const xExpr = math.parse(xPart);
-        const yExpr = math.parse(yPart);
-        const xCompiled = xExpr.compile();
-        const yCompiled = yExpr.compile();
+        const xExpr = this.parseExpression(xPart.text, xPart.offset);
+        const yExpr = this.parseExpression(yPart.text, parts[0].length + 1 + yPart.offset);
+        const xCompiled = this.compileExpression(xExpr);
+        const yCompiled = this.compileExpression(yExpr);
 
         return {
             original: equationString,
-            xExpression: xPart,
-            yExpression: yPart,
+            xExpression: xExpr.toString(),
+            yExpression: yExpr.toString(),
             xCompiled: xCompiled,
             yCompiled: yCompiled,
+            xDerivatives: this.createDerivatives(xExpr, 't'),
+            yDerivatives: this.createDerivatives(yExpr, 't'),
+            domain: domain,
             color: this.getNextColor(),
             type: 'parametric',
             evaluateX: function (t) {
@@ -461,9 +1048,41 @@ class EquationParser {
                     return NaN;
                 }
             },
-            getPoints: function (tMin = 0, tMax = 2 * Math.PI, step = 0.02) {
+            // Symbolic dx/dt, d²x/dt², dy/dt and d²y/dt² (NaN where unavailable)
+            derivativeX: function (t) {
+                try {
+                    return this.xDerivatives ? this.xDerivatives.first.evaluate({ t: t }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            secondDerivativeX: function (t) {
+                try {
+                    return this.xDerivatives ? this.xDerivatives.second.evaluate({ t: t }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            derivativeY: function (t) {
+                try {
+                    return this.yDerivatives ? this.yDerivatives.first.evaluate({ t: t }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            secondDerivativeY: function (t) {
+                try {
+                    return this.yDerivatives ? this.yDerivatives.second.evaluate({ t: t }) : NaN;
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            getPoints: function (tMin = this.domain.min, tMax = this.domain.max, step = 0.02) {
                 const points = [];
-                for (let t = tMin; t <= tMax; t += step) {
+                // Sample by index so the end of the domain is always included
+                const count = Math.ceil((tMax - tMin) / step);
+                for (let i = 0; i <= count; i++) {
+                    const t = Math.min(tMin + i * step, tMax);
                     const x = this.evaluateX(t);
                     const y = this.evaluateY(t);
                     if (!isNaN(x) && !isNaN(y) && isFinite(x) && isFinite(y)) {
@@ -500,21 +1119,43 @@ class EquationParser {
             throw new Error('Invalid inequality format');
         }
 
-        let leftSide = this.preprocessEquation(parts[0].trim());
-        let rightSide = this.preprocessEquation(parts[1].trim());
-
         // Create comparison function
-        const expression = `(${leftSide}) - (${rightSide})`;
-        const expr = math.parse(expression);
-        const compiled = expr.compile();
+        const expr = this.parseDifference(parts[0], parts[1], cleanEquation.length - parts[1].length);
+        const compiled = this.compileExpression(expr);
 
         return {
             original: equationString,
-            expression: expression,
+            expression: expr.toString(),
             operator: operator,
             compiled: compiled,
+            derivatives: this.createPartials(expr),
             color: this.getNextColor() + '40', // Semi-transparent for regions
             type: 'inequality',
+            // Sign of boundary() inside the region (+1 for > / >=, -1 for < / <=)
+            insideSign: operator.startsWith('>') ? 1 : -1,
+            boundary: function (x, y) {
+                try {
+                    return this.compiled.evaluate({ x: x, y: y });
+                } catch (error) {
+                    return NaN;
+                }
+            },
+            // Symbolic boundary() partial derivatives {fx, fy, fxx, fyy, fxy}, or null where unavailable
+            partials: function (x, y) {
+                if (!this.derivatives) return null;
+                try {
+                    const scope = { x: x, y: y };
+                    return {
+                        fx: this.derivatives.fx.evaluate(scope),
+                        fy: this.derivatives.fy.evaluate(scope),
+                        fxx: this.derivatives.fxx.evaluate(scope),
+                        fyy: this.derivatives.fyy.evaluate(scope),
+                        fxy: this.derivatives.fxy.evaluate(scope)
+                    };
+                } catch (error) {
+                    return null;
+                }
+            },
             evaluate: function (x, y) {
                 try {
                     const diff = this.compiled.evaluate({ x: x, y: y });
@@ -557,25 +1198,22 @@ class EquationParser {
                 throw new Error('Invalid piecewise format');
             }
 
-            let expression = parts[0].trim();
-            if (expression.toLowerCase().startsWith('y=') || expression.toLowerCase().startsWith('y =')) {
-                expression = expression.substring(expression.indexOf('=') + 1).trim();
-            }
+            const expression = this.stripPrefix(parts[0], /^\s*y\s*=/i);
 
             let condition = parts[1].trim().replace('}', '');
 
             // Parse condition (supports single and double conditions like "0 < x < 5")
             const conditions = this.parseConditions(condition);
 
-            expression = this.preprocessEquation(expression);
-            const expr = math.parse(expression);
-            const compiled = expr.compile();
+            const expr = this.parseExpression(expression.text, expression.offset);
+            const compiled = this.compileExpression(expr);
 
             return {
                 original: equationString,
-                expression: expression,
+                expression: expr.toString(),
                 compiled: compiled,
                 conditions: conditions,
+                derivatives: this.createDerivatives(expr, 'x'),
                 color: this.getNextColor(),
                 type: 'piecewise',
                 evaluate: function (x) {
@@ -588,6 +1226,27 @@ class EquationParser {
                     }
                     return NaN;
                 },
+                // Symbolic dy/dx and d²y/dx² inside the domain (NaN elsewhere or where unavailable)
+                derivative: function (x) {
+                    if (this.derivatives && this.checkConditions(x, this.conditions)) {
+                        try {
+                            return this.derivatives.first.evaluate({ x: x });
+                        } catch (error) {
+                            return NaN;
+                        }
+                    }
+                    return NaN;
+                },
+                secondDerivative: function (x) {
+                    if (this.derivatives && this.checkConditions(x, this.conditions)) {
+                        try {
+                            return this.derivatives.second.evaluate({ x: x });
+                        } catch (error) {
+                            return NaN;
+                        }
+                    }
+                    return NaN;
+                },
                 checkConditions: function (x, conditions) {
                     return conditions.every(cond => {
                         switch (cond.operator) {
@@ -615,6 +1274,7 @@ class EquationParser {
                 }
             };
         } catch (error) {
+            if (error instanceof ExpressionSyntaxError) throw error;
             throw new Error(`Invalid piecewise equation: ${error.message}`);
         }
     }
@@ -666,101 +1326,63 @@ class EquationParser {
         throw new Error('Invalid condition format');
     }
 
-    preprocessEquation(equation) {
-        // Handle Unicode and special characters first
-        equation = equation.replace(/π/g, 'pi');
-        equation = equation.replace(/θ/g, 'theta');
-        equation = equation.replace(/√/g, 'sqrt');
-        equation = equation.replace(/∞/g, 'Infinity');
-
-        // Handle absolute value notation
-        equation = equation.replace(/\|([^|]+)\|/g, 'abs($1)');
-
-        // Handle ln -> log conversion (math.js uses log for natural log)
-        equation = equation.replace(/\bln\b/g, 'log');
-
-        // Handle arc function names -> a-prefix
-        equation = equation.replace(/\barcsin\b/gi, 'asin');
-        equation = equation.replace(/\barccos\b/gi, 'acos');
-        equation = equation.replace(/\barctan\b/gi, 'atan');
-        equation = equation.replace(/\barcsec\b/gi, 'asec');
-        equation = equation.replace(/\barccsc\b/gi, 'acsc');
-        equation = equation.replace(/\barccot\b/gi, 'acot');
-
-        // CRITICAL FIX: Handle function names followed directly by variable (sinx -> sin(x))
-        // This must happen BEFORE implicit multiplication
-        const funcPattern = /\b(sin|cos|tan|sec|csc|cot|sinh|cosh|tanh|sech|csch|coth|asin|acos|atan|asec|acsc|acot|asinh|acosh|atanh|sqrt|cbrt|abs|log|exp|floor|ceil|round|sign)([a-zA-Z])/gi;
-        equation = equation.replace(funcPattern, '$1($2)');
-
-        // Handle function names followed by number (sin2 -> sin(2))
-        const funcNumPattern = /\b(sin|cos|tan|sec|csc|cot|sinh|cosh|tanh|sech|csch|coth|asin|acos|atan|asec|acsc|acot|asinh|acosh|atanh|sqrt|cbrt|abs|log|exp|floor|ceil|round|sign)(\d)/gi;
-        equation = equation.replace(funcNumPattern, '$1($2)');
-
-        // Handle e^x specially (only standalone e not part of other words)
-        equation = equation.replace(/\be\^/g, 'exp(');
-        // Need to find matching close for exp(
-        // Simple approach: if we added exp(, we need a closing paren
-        // This is tricky, let's use a simpler approach
-        equation = equation.replace(/exp\(([^()]+)\)/g, 'exp($1)');
-        // Handle remaining exp( without closing - add closing at end of number/variable sequence
-        equation = equation.replace(/exp\(([a-zA-Z0-9\.\+\-\*\/\^]+)(?!\))/g, 'exp($1)');
-
-        // Handle implicit multiplication between number and variable: 2x -> 2*x
-        // But NOT inside function names
-        equation = equation.replace(/(\d)([a-zA-Z])/g, (match, num, letter, offset, str) => {
-            // Check if this is part of a function name by looking ahead
-            const remaining = str.substring(offset + match.length);
-            const funcNames = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh',
-                'asin', 'acos', 'atan', 'sqrt', 'cbrt', 'abs', 'log', 'exp',
-                'floor', 'ceil', 'round', 'sign', 'pi', 'theta'];
-
-            // Check if letter + remaining forms a function
-            for (const fn of funcNames) {
-                if ((letter + remaining).toLowerCase().startsWith(fn.substring(1))) {
-                    return num + '*' + letter;
-                }
-            }
-            return num + '*' + letter;
-        });
+    /**
+     * Parse one side of an equation into a math.js expression tree,
+     * with user-defined functions inlined
+     * @param {number} [offset] - Where text starts in the equation body, so a
+     *   syntax error's range points at the right characters of the equation
+     * @throws {ExpressionSyntaxError}
+     */
+    parseExpression(text, offset = 0) {
+        const leadingSpace = text.length - text.trimStart().length;
+        return this.expandFunctions(this.expressionParser.parse(text.trim(), offset + leadingSpace));
+    }
 
-        // Handle implicit multiplication: )( -> )*(
-        equation = equation.replace(/\)\(/g, ')*(');
-
-        // Handle implicit multiplication: )x -> )*x
-        equation = equation.replace(/\)([a-zA-Z])/g, ')*$1');
-
-        // Handle implicit multiplication: x( -> x*( but NOT for functions
-        // This needs care to not break function calls
-        equation = equation.replace(/([a-zA-Z])(\()/g, (match, letter, paren, offset, str) => {
-            // Look backwards to see if this is a function name
-            const before = str.substring(0, offset + 1);
-            const funcNames = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh',
-                'sech', 'csch', 'coth', 'asin', 'acos', 'atan', 'asec', 'acsc', 'acot',
-                'asinh', 'acosh', 'atanh', 'sqrt', 'cbrt', 'abs', 'log', 'exp',
-                'floor', 'ceil', 'round', 'sign', 'mod'];
-
-            for (const fn of funcNames) {
-                if (before.toLowerCase().endsWith(fn)) {
-                    return match; // Keep as is - it's a function call
-                }
+    /**
+     * Split text at any of the separator characters that are outside brackets,
+     * e.g. "x = max(t, 0), y = t" at ',' -> ["x = max(t, 0)", " y = t"]
+     * @param {string} separators - Characters to split at, e.g. ',;'
+     * @returns {Array<string>}
+     */
+    splitTopLevel(text, separators) {
+        const parts = [];
+        let depth = 0;
+        let partStart = 0;
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '(') {
+                depth++;
+            } else if (text[i] === ')') {
+                depth--;
+            } else if (depth === 0 && separators.includes(text[i])) {
+                parts.push(text.substring(partStart, i));
+                partStart = i + 1;
             }
-            return letter + '*' + paren;
-        });
-
-        // Handle 2(x) -> 2*(x)
-        equation = equation.replace(/(\d)(\()/g, '$1*$2');
-
-        // Handle )(5) -> )*(5)
-        equation = equation.replace(/\)(\d)/g, ')*$1');
+        }
+        parts.push(text.substring(partStart));
 
-        // Handle x2 -> x*2 (but be careful with function names)
-        equation = equation.replace(/([a-zA-Z])(\d)/g, '$1*$2');
+        return parts;
+    }
 
-        // Clean up any double multiplication signs
-        equation = equation.replace(/\*\*/g, '^');
-        equation = equation.replace(/\*\*/g, '*');
+    /**
+     * Parse "left = right" (or an inequality) as left - right
+     * @param {number} rightOffset - Where right starts in the equation body (left starts at 0)
+     */
+    parseDifference(left, right, rightOffset) {
+        return new math.OperatorNode('-', 'subtract', [
+            new math.ParenthesisNode(this.parseExpression(left)),
+            new math.ParenthesisNode(this.parseExpression(right, rightOffset))
+        ]);
+    }
 
-        return equation;
+    /**
+     * Split a prefix such as "y =" off one part of an equation
+     * @param {RegExp} prefix - Anchored pattern, e.g. /^\s*y\s*=/i
+     * @returns {Object} {text, offset}: the rest of the part and where it starts in the part
+     */
+    stripPrefix(part, prefix) {
+        const match = part.match(prefix);
+        return match ? { text: part.substring(match[0].length), offset: match[0].length } : { text: part, offset: 0 };
     }
 
     getNextColor() {
@@ -935,7 +1557,7 @@ class EquationRenderer {
     }
 
     drawPolar(equation, xMin, xMax, yMin, yMax, width, height) {
-        const points = equation.getPoints(0, 4 * Math.PI, 0.02);
+        const points = equation.getPoints();
 
         if (points.length < 2) return;
 
@@ -949,9 +1571,8 @@ class EquationRenderer {
     }
 
     drawParametric(equation, xMin, xMax, yMin, yMax, width, height) {
-        // Determine appropriate t range based on the equation
-        // Default to 0 to 2π for most curves, extend for spirals, etc.
-        const points = equation.getPoints(0, 2 * Math.PI, 0.02);
+        // Drawn over the curve's t domain, the same range the physics uses
+        const points = equation.getPoints();
 
         if (points.length < 2) return;
 
@@ -1040,4 +1661,13 @@ class EquationRenderer {
     mapToScreen(value, min, max, screenMin, screenMax) {
         return screenMin + (value - min) * (screenMax - screenMin) / (max - min);
     }
-}
\ No newline at end of file
+}
+
+// Make classes available globally (window in the browser, globalThis in Node)
+if (typeof window !== 'undefined') {
+    window.EquationParseError = EquationParseError;
+    window.EquationParser = EquationParser;
+    window.EquationRenderer = EquationRenderer;
+} else {
+    Object.assign(globalThis, { EquationParseError, EquationParser, EquationRenderer });
+}
@@ -0,0 +1,465 @@
+/**
+ * ============================================================================
+ * EXPRESSION PARSER FOR THE GAME'S MATH DIALECT
+ * ============================================================================
+ *
+ * Turns what students type into a math.js expression tree, replacing the old
+ * chain of regex rewrites. EquationParser splits an equation at "=", "<",
+ * "{...}" etc. and hands each side to ExpressionParser.parse().
+ *
+ * The dialect:
+ * - Numbers: 2, 0.5, .5
+ * - Variables are single letters (x, y, t, a, ...), so "xy" is x*y;
+ *   theta/θ, pi/π, tau, e and Infinity/∞ are recognised as whole words
+ * - Operators: + - * / % ^ with the usual precedence; "-x^2" is -(x^2) and
+ *   exponents may be signed ("2^-x")
+ * - Implicit multiplication: 2x, 3(x+1), (x+1)(x-1), x sin(x), 2pi
+ * - Functions: sin(x), sinx, sin 2x (= sin(2x)), sin^2(x) (= sin(x)^2);
+ *   ln, arcsin etc. are aliases for log, asin, ...
+ * - |x| for abs(x), √x for sqrt(x), superscript ² and ³, ×, ÷, ·, and − (U+2212)
+ *
+ * Anything else is rejected with an ExpressionSyntaxError that carries an
+ * error code, the character range of the problem and a suggested fix,
+ * instead of being silently rewritten.
+ *
+ * ============================================================================
+ */
+
+// ============================================================================
+// SYNTAX ERROR
+// ============================================================================
+
+/**
+ * Parse error with a code (e.g. 'missing_parenthesis'), the offending
+ * character range [start, end) of the input and a suggested fix
+ */
+class ExpressionSyntaxError extends Error {
+    constructor(code, message, start, end = start + 1, fix = null) {
+        super(message);
+        this.name = 'ExpressionSyntaxError';
+        this.code = code;
+        this.start = start;
+        this.end = end;
+        this.fix = fix;
+    }
+}
+
+// ============================================================================
+// EXPRESSION PARSER CLASS
+// ============================================================================
+
+class ExpressionParser {
+    constructor() {
+        // Functions, by the name typed -> math.js name
+        this.functions = {};
+        [
+            'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
+            'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth',
+            'asin', 'acos', 'atan', 'asec', 'acsc', 'acot',
+            'asinh', 'acosh', 'atanh',
+            'sqrt', 'cbrt', 'nthroot', 'abs', 'log', 'log10', 'log2', 'exp',
+            'floor', 'ceil', 'round', 'sign', 'mod', 'min', 'max'
+        ].forEach(name => { this.functions[name] = name; });
+        Object.assign(this.functions, {
+            ln: 'log', cosec: 'csc',
+            arcsin: 'asin', arccos: 'acos', arctan: 'atan',
+            arcsec: 'asec', arccsc: 'acsc', arccot: 'acot'
+        });
+
+        // Multi-letter names that are not functions
+        this.words = { pi: 'pi', tau: 'tau', theta: 'theta', infinity: 'Infinity' };
+
+        // Single characters with an ASCII meaning
+        this.symbols = {
+            'π': 'pi', 'θ': 'theta', '∞': 'Infinity',
+            '×': '*', '·': '*', '÷': '/', '−': '-'
+        };
+    }
+
+    /**
+     * Parse an expression into a math.js node
+     * @param {string} text
+     * @param {number} [offset] - Where text starts in the string it was cut from
+     *   (e.g. after "y =" in an equation); error ranges are shifted by it
+     * @returns {math.Node}
+     * @throws {ExpressionSyntaxError}
+     */
+    parse(text, offset = 0) {
+        try {
+            const state = { tokens: this.tokenize(text), index: 0, absDepth: 0, text };
+
+            if (state.tokens.length === 1) {
+                throw new ExpressionSyntaxError('empty_expression', 'Expression is empty',
+                    0, text.length, 'Type an expression, e.g. x^2');
+            }
+
+            const node = this.parseSum(state);
+            const token = this.peek(state);
+            if (token.type !== 'end') {
+                throw token.value === ')'
+                    ? new ExpressionSyntaxError('unmatched_parenthesis', 'Unmatched closing parenthesis',
+                        token.start, token.end, 'Remove this ")" or add a "(" before it')
+                    : this.unexpectedToken(token);
+            }
+
+            return node;
+        } catch (error) {
+            if (error instanceof ExpressionSyntaxError) {
+                error.start += offset;
+                error.end += offset;
+            }
+            throw error;
+        }
+    }
+
+    // ========================================================================
+    // TOKENIZER
+    // ========================================================================
+
+    /**
+     * Split text into number, name, function, operator and end tokens,
+     * each with its character range
+     * @returns {Array} [{type, value, text, start, end}]
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        const push = (type, value, start, end) => {
+            tokens.push({ type, value, text: text.substring(start, end), start, end });
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9.]/.test(char)) {
+                const match = text.substring(i).match(/^(\d+\.?\d*|\.\d+)/);
+                if (!match) {
+                    throw new ExpressionSyntaxError('invalid_number', 'A "." must be part of a number',
+                        i, i + 1, 'Write decimals with a digit, e.g. 0.5');
+                }
+                if (text[i + match[0].length] === '.') {
+                    throw new ExpressionSyntaxError('invalid_number', 'A number can only have one "."',
+                        i, i + match[0].length + 1, 'Remove the extra "."');
+                }
+                push('number', parseFloat(match[0]), i, i + match[0].length);
+                i += match[0].length;
+            } else if (/[a-zA-Z]/.test(char)) {
+                i = this.tokenizeLetters(text, i, push);
+            } else if (char === '²' || char === '³') {
+                push('operator', '^', i, i + 1);
+                push('number', char === '²' ? 2 : 3, i, i + 1);
+                i++;
+            } else if (this.symbols[char]) {
+                const value = this.symbols[char];
+                push(/[a-z]/i.test(value) ? 'name' : 'operator', value, i, i + 1);
+                i++;
+            } else if (char === '√') {
+                push('function', 'sqrt', i, i + 1);
+                i++;
+            } else if ('+-*/%^(),|'.includes(char)) {
+                push('operator', char, i, i + 1);
+                i++;
+            } else {
+                const fixes = { '[': 'Use "(" for brackets', ']': 'Use ")" for brackets' };
+                throw new ExpressionSyntaxError('unexpected_character', `Unexpected character "${char}"`,
+                    i, i + 1, fixes[char] ?? `Remove "${char}"`);
+            }
+        }
+
+        push('end', null, text.length, text.length);
+        return tokens;
+    }
+
+    /**
+     * Split a run of letters into known functions and words (longest match
+     * first, e.g. "cosh" over "cos") and single-letter variables
+     * @returns {number} Index after the run
+     */
+    tokenizeLetters(text, start, push) {
+        // Function names may end in digits (log10), so look at letters and digits
+        const run = text.substring(start).match(/^[a-zA-Z]+\d*/)[0];
+        const letters = run.match(/^[a-zA-Z]+/)[0];
+        const names = [...Object.keys(this.functions), ...Object.keys(this.words)]
+            .sort((a, b) => b.length - a.length);
+        const tokensBefore = [];
+
+        let i = 0;
+        while (i < letters.length) {
+            const rest = run.substring(i).toLowerCase();
+            const name = names.find(candidate => rest.startsWith(candidate) &&
+                !(/\d/.test(candidate) && /\d/.test(run[i + candidate.length] ?? '')));
+
+            if (name) {
+                const isFunction = this.functions[name] !== undefined;
+                tokensBefore.push([isFunction ? 'function' : 'name',
+                    isFunction ? this.functions[name] : this.words[name], start + i, start + i + name.length]);
+                i += name.length;
+            } else {
+                tokensBefore.push(['name', letters[i], start + i, start + i + 1]);
+                i++;
+            }
+        }
+
+        // "sn(x)" is more likely a mistyped function than s*n*(x), and "cosa(x)" than cos(a*(x))
+        const next = text.substring(start + i).trimStart()[0];
+        const [first, ...others] = tokensBefore;
+        const isLetters = tokens => tokens.every(([type, , from, to]) => type === 'name' && to - from === 1);
+        const afterFunction = first[0] === 'function' && others.length > 0 && isLetters(others);
+        if (letters.length > 1 && next === '(' && (isLetters(tokensBefore) || afterFunction)) {
+            const suggestion = this.suggestFunction(letters);
+            const product = afterFunction
+                ? `To multiply, write ${text.substring(first[2], first[3])}(${others.map(([, name]) => name).join('*')}*(...))`
+                : `To multiply, write ${letters.split('').join('*')}*(...)`;
+            throw new ExpressionSyntaxError('unknown_function', `Unknown function "${letters}"`,
+                start, start + letters.length, suggestion ? `Did you mean ${suggestion}? ${product}` : product);
+        }
+
+        tokensBefore.forEach(token => push(...token));
+        return start + i;
+    }
+
+    /**
+     * Closest known function name to a mistyped one (one edit per three
+     * letters typed), preferring names with the same first letter, e.g. "sn" -> "sin"
+     * @returns {string|null}
+     */
+    suggestFunction(name) {
+        const lower = name.toLowerCase();
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const candidate of Object.keys(this.functions)) {
+            const distance = this.editDistance(lower, candidate);
+            const score = distance + (candidate[0] === lower[0] ? 0 : 0.5);
+            if (distance <= Math.ceil(lower.length / 3) && score < bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /** Edit distance between two strings, counting a swap of neighbours ("cso") as one edit */
+    editDistance(a, b) {
+        const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1,
+                    d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
+    }
+
+    // ========================================================================
+    // GRAMMAR (recursive descent, loosest binding first)
+    //
+    //   sum      := product (("+" | "-") product)*
+    //   product  := unary (("*" | "/" | "%") unary | implicit)*
+    //   implicit := a factor that starts right after another, e.g. 2x, x(x+1)
+    //   unary    := ("-" | "+") unary | power
+    //   power    := primary ("^" unary)?
+    //   primary  := number | name | call | "(" sum ")" | "|" sum "|"
+    //   call     := function ("^" unary)? (arguments | implicitProduct)
+    // ========================================================================
+
+    peek(state) {
+        return state.tokens[state.index];
+    }
+
+    next(state) {
+        return state.tokens[state.index++];
+    }
+
+    isOperator(token, value) {
+        return token.type === 'operator' && token.value === value;
+    }
+
+    /** Whether a token can begin a factor that multiplies the one before it */
+    startsFactor(state, token) {
+        if (token.type === 'number' || token.type === 'name' || token.type === 'function') return true;
+        if (this.isOperator(token, '(')) return true;
+        // Inside |...| a bar closes the abs instead of opening a new one
+        return this.isOperator(token, '|') && state.absDepth === 0;
+    }
+
+    parseSum(state) {
+        let node = this.parseProduct(state);
+
+        while (this.isOperator(this.peek(state), '+') || this.isOperator(this.peek(state), '-')) {
+            const op = this.next(state).value;
+            const right = this.parseProduct(state);
+            node = new math.OperatorNode(op, op === '+' ? 'add' : 'subtract', [node, right]);
+        }
+
+        return node;
+    }
+
+    parseProduct(state) {
+        let node = this.parseUnary(state);
+        const names = { '*': 'multiply', '/': 'divide', '%': 'mod' };
+
+        for (;;) {
+            const token = this.peek(state);
+            if (token.type === 'operator' && names[token.value]) {
+                this.next(state);
+                const right = this.parseUnary(state);
+                node = new math.OperatorNode(token.value, names[token.value], [node, right]);
+            } else if (this.startsFactor(state, token)) {
+                const previous = state.tokens[state.index - 1];
+                if (token.type === 'number' && previous.type === 'number') {
+                    throw new ExpressionSyntaxError('missing_operator', 'Missing operator between numbers',
+                        previous.start, token.end, 'Add an operator between them, e.g. 2*3');
+                }
+                const right = this.parsePower(state);
+                node = new math.OperatorNode('*', 'multiply', [node, right], true);
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parseUnary(state) {
+        const token = this.peek(state);
+
+        if (this.isOperator(token, '-')) {
+            this.next(state);
+            return new math.OperatorNode('-', 'unaryMinus', [this.parseUnary(state)]);
+        }
+        if (this.isOperator(token, '+')) {
+            this.next(state);
+            return this.parseUnary(state);
+        }
+
+        return this.parsePower(state);
+    }
+
+    parsePower(state) {
+        const base = this.parsePrimary(state);
+
+        if (this.isOperator(this.peek(state), '^')) {
+            this.next(state);
+            return new math.OperatorNode('^', 'pow', [base, this.parseUnary(state)]);
+        }
+
+        return base;
+    }
+
+    parsePrimary(state) {
+        const token = this.next(state);
+
+        switch (token.type) {
+            case 'number':
+                return new math.ConstantNode(token.value);
+
+            case 'name':
+                return new math.SymbolNode(token.value);
+
+            case 'function':
+                return this.parseCall(state, token);
+
+            case 'end': {
+                const previous = state.tokens[state.index - 2];
+                throw new ExpressionSyntaxError('incomplete_expression', 'Expression ends too early',
+                    token.start, token.end, `Add a number or variable after "${previous.text}"`);
+            }
+        }
+
+        if (token.value === '(') {
+            const content = this.parseSum(state);
+            this.expectClosing(state, ')', token);
+            return new math.ParenthesisNode(content);
+        }
+
+        if (token.value === '|') {
+            state.absDepth++;
+            const content = this.parseSum(state);
+            state.absDepth--;
+            this.expectClosing(state, '|', token);
+            return new math.FunctionNode(new math.SymbolNode('abs'), [content]);
+        }
+
+        throw this.unexpectedToken(token);
+    }
+
+    unexpectedToken(token) {
+        const fix = token.value === ','
+            ? 'Commas only separate function arguments, e.g. max(x, 0)'
+            : `Add a number or variable before "${token.text}"`;
+        return new ExpressionSyntaxError('unexpected_token', `Unexpected "${token.text}"`, token.start, token.end, fix);
+    }
+
+    /**
+     * Function call: sin(x), sin x, sin 2x, sin^2(x)
+     * Without parentheses the argument is the implicit product that follows
+     */
+    parseCall(state, token) {
+        let exponent = null;
+        if (this.isOperator(this.peek(state), '^')) {
+            this.next(state);
+            exponent = this.parseUnary(state);
+        }
+
+        let args;
+        const opening = this.peek(state);
+        if (this.isOperator(opening, '(')) {
+            this.next(state);
+            args = [this.parseSum(state)];
+            while (this.isOperator(this.peek(state), ',')) {
+                this.next(state);
+                args.push(this.parseSum(state));
+            }
+            this.expectClosing(state, ')', opening);
+        } else if (this.startsFactor(state, opening)) {
+            let argument = this.parsePower(state);
+            while (this.startsFactor(state, this.peek(state)) && this.peek(state).type !== 'function') {
+                argument = new math.OperatorNode('*', 'multiply', [argument, this.parsePower(state)], true);
+            }
+            args = [argument];
+        } else {
+            throw new ExpressionSyntaxError('missing_argument', `${token.text} needs an argument`,
+                token.start, token.end, `Write ${token.text}(x)`);
+        }
+
+        const call = new math.FunctionNode(new math.SymbolNode(token.value), args);
+        return exponent ? new math.OperatorNode('^', 'pow', [call, exponent]) : call;
+    }
+
+    /**
+     * Consume the ")" or "|" that closes `opening`; the error range covers
+     * everything from the opening bracket to where the closing one is missing
+     */
+    expectClosing(state, value, opening) {
+        const token = this.peek(state);
+        if (!this.isOperator(token, value)) {
+            throw value === ')'
+                ? new ExpressionSyntaxError('missing_parenthesis', 'Missing closing parenthesis',
+                    opening.start, token.start, 'Add ")" to close it')
+                : new ExpressionSyntaxError('missing_abs_bar', 'Missing closing |',
+                    opening.start, token.start, 'Add "|" to close it');
+        }
+        this.next(state);
+    }
+}
+
+// ============================================================================
+// EXPORT FOR USE
+// ============================================================================
+
+// Make classes available globally (window in the browser, globalThis in Node)
+if (typeof window !== 'undefined') {
+    window.ExpressionSyntaxError = ExpressionSyntaxError;
+    window.ExpressionParser = ExpressionParser;
+} else {
+    Object.assign(globalThis, { ExpressionSyntaxError, ExpressionParser });
+}
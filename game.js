@@ -4,16 +4,38 @@ class Game {
     constructor() {
         this.canvas = null;
         this.physics = new PhysicsEngine();
+        this.clock = new FixedTimestep({
+            step: this.physics.fixedTimeStep,
+            maxSubSteps: this.physics.maxSubSteps
+        });
         this.equationParser = new EquationParser();
         this.equationRenderer = null;
         this.ui = new UIManager();
 
         this.equations = [];
+        this.parameters = []; // Sliders (see defineParameter); their values live in equationParser.parameters
+        // User-defined functions (f(x) = ...) live in equationParser.functions, see defineFunction
         this.marbles = [];
         this.stars = [];
+        this.simulation = null;
         this.level = 1;
         this.starsCollected = 0;
         this.gameRunning = false;
+        this.paused = false;
+        this.speed = 1; // Simulated time per real time (0.25x - 4x)
+
+        // Physics debug overlay: vectors per marble and where/why marbles left curves
+        this.debugOverlay = false;
+        this.detachEvents = [];
+
+        // Run recording (see createRecording) and the replay being shown, if any
+        this.recording = null;
+        this.replay = null;
+        this.replayPlaying = false;
+
+        // Level generation is seeded so recordings can name the level they came from
+        this.levelSeed = null;
+        this.random = null;
 
         this.canvasWidth = 600;
         this.canvasHeight = 600;
@@ -24,6 +46,15 @@ class Game {
 
         this.marbleStartY = 8; // Start above the visible area
 
+        // Launch aiming: drag from the start point to set the initial velocity
+        this.aiming = false;
+        this.aimScale = 0.5; // Arrow length in world units per unit of launch speed
+
+        // Ghost trajectory shown before launch (assist mode, see updatePreview)
+        this.preview = { key: null, points: [], simulation: null };
+        this.shortPreviewDuration = 2; // Seconds simulated by the "short" mode; the others run until the run would end
+        this.previewFrameBudget = 8; // Milliseconds of preview simulation per drawn frame; longer runs trace over several frames
+
         this.setupP5();
         this.generateLevel();
     }
@@ -48,6 +79,21 @@ class Game {
                 this.draw(p5);
             };
 
+            p5.mousePressed = () => {
+                this.startAim(p5.mouseX, p5.mouseY);
+            };
+
+            p5.mouseDragged = () => {
+                if (this.aiming) {
+                    this.updateAim(p5.mouseX, p5.mouseY);
+                    return false; // Keep touch drags from scrolling the page
+                }
+            };
+
+            p5.mouseReleased = () => {
+                this.aiming = false;
+            };
+
             p5.windowResized = () => {
                 const container = document.getElementById('gameCanvas');
                 const rect = container.getBoundingClientRect();
@@ -73,15 +119,36 @@ class Game {
             this.equationRenderer.drawEquation(equation, this.xMin, this.xMax, this.yMin, this.yMax, this.canvasWidth, this.canvasHeight);
         });
 
-        // Draw stars
-        this.drawStars(p5);
+        // Update game state in fixed steps driven by real elapsed time
+        // (scaled by the speed control; a paused run keeps its state)
+        const advancing = this.gameRunning && !this.paused;
+        if (advancing) {
+            this.clock.advance(p5.deltaTime / 1000 * this.speed, (dt) => this.update(dt));
+        } else if (this.replay && this.replayPlaying) {
+            this.clock.advance(p5.deltaTime / 1000 * this.speed, () => this.advanceReplay());
+        }
+
+        const waiting = !this.gameRunning && !this.replay;
+
+        // Draw the ghost trajectory while waiting to launch
+        if (waiting) {
+            this.updatePreview();
+            this.drawPreview(p5);
+        }
+
+        // Draw stars (a replay has its own copies)
+        this.drawStars(p5, this.replay ? this.replay.stars : this.stars);
+
+        // Draw the start point and aim arrow while waiting to launch
+        if (waiting) {
+            this.drawLaunchAim(p5);
+        }
 
-        // Draw marbles
-        this.drawMarbles(p5);
+        // Draw marbles (interpolated between physics steps)
+        this.drawMarbles(p5, advancing ? this.clock.getAlpha() : 1);
 
-        // Update game state
-        if (this.gameRunning) {
-            this.update();
+        if (this.debugOverlay) {
+            this.drawDebugOverlay(p5);
         }
     }
 
@@ -140,8 +207,8 @@ class Game {
         p5.text('0', xAxisScreen - 15, yAxisScreen + 15);
     }
 
-    drawStars(p5) {
-        this.stars.forEach(star => {
+    drawStars(p5, stars = this.stars) {
+        stars.forEach(star => {
             if (!star.collected) {
                 const screenX = this.mapToScreen(star.x, this.xMin, this.xMax, 0, this.canvasWidth);
                 const screenY = this.mapToScreen(-star.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
@@ -161,6 +228,123 @@ class Game {
         });
     }
 
+    /**
+     * Recompute the ghost trajectory when the equations, slider values, functions,
+     * stars, start point, launch velocity or preview mode change. Called every
+     * frame; the simulation behind it advances for at most previewFrameBudget
+     * each time, so a long run doesn't stall drawing or typing
+     */
+    updatePreview() {
+        const mode = this.ui.getPreviewMode();
+        const start = this.ui.getStartPosition();
+        const velocity = this.ui.getLaunchVelocity();
+        const key = JSON.stringify([mode, start, velocity, this.equations.map(equation => equation.original),
+            this.equationParser.parameters, Object.values(this.equationParser.functions).map(definition => definition.original),
+            this.stars.map(({ x, y, radius }) => [x, y, radius])]);
+
+        if (key !== this.preview.key) {
+            this.preview = { key, points: [], simulation: null };
+            if (mode === 'off') return;
+
+            // Run the launch exactly as launchMarbles would, on copies of the stars so
+            // none get collected, and trace the lead marble until the run would end
+            const stars = this.stars.map(star => ({ ...star, collected: false }));
+            const limits = mode === 'short' ? { maxDuration: this.shortPreviewDuration } : {};
+            this.preview.simulation = this.createLaunchSimulation(start, velocity, stars, limits);
+        }
+
+        const simulation = this.preview.simulation;
+        if (!simulation) return;
+
+        const lead = simulation.marbles[0];
+        const deadline = performance.now() + this.previewFrameBudget;
+
+        while (performance.now() < deadline) {
+            const events = simulation.step();
+            this.preview.points.push(lead.position.toObject());
+
+            // Easier mode: stop where the lead marble first leaves a curve it rolled on
+            const detached = mode === 'detach' && events.detachments.some(detachment => detachment.marble === lead);
+            if (simulation.endReason || !lead.active || detached) {
+                this.preview.simulation = null;
+                return;
+            }
+        }
+    }
+
+    drawPreview(p5) {
+        p5.noStroke();
+        p5.fill(74, 144, 217, 90);
+
+        // Every few steps, so the dots spread out with speed
+        this.preview.points.forEach((point, i) => {
+            if (i % 4 !== 0) return;
+
+            const screenX = this.mapToScreen(point.x, this.xMin, this.xMax, 0, this.canvasWidth);
+            const screenY = this.mapToScreen(point.y, this.yMin, this.yMax, this.canvasHeight, 0);
+            p5.ellipse(screenX, screenY, 5, 5);
+        });
+    }
+
+    drawLaunchAim(p5) {
+        const start = this.ui.getStartPosition();
+        const velocity = this.ui.getLaunchVelocity();
+
+        const startX = this.mapToScreen(start.x, this.xMin, this.xMax, 0, this.canvasWidth);
+        const startY = this.mapToScreen(start.y, this.yMin, this.yMax, this.canvasHeight, 0);
+        const tipX = this.mapToScreen(start.x + velocity.x * this.aimScale, this.xMin, this.xMax, 0, this.canvasWidth);
+        const tipY = this.mapToScreen(start.y + velocity.y * this.aimScale, this.yMin, this.yMax, this.canvasHeight, 0);
+
+        // Arrow shaft and head
+        p5.stroke(74, 144, 217, this.aiming ? 255 : 160);
+        p5.strokeWeight(3);
+        p5.line(startX, startY, tipX, tipY);
+
+        const angle = Math.atan2(tipY - startY, tipX - startX);
+        const headSize = 10;
+        if (Math.hypot(tipX - startX, tipY - startY) > headSize) {
+            p5.line(tipX, tipY, tipX - headSize * Math.cos(angle - 0.5), tipY - headSize * Math.sin(angle - 0.5));
+            p5.line(tipX, tipY, tipX - headSize * Math.cos(angle + 0.5), tipY - headSize * Math.sin(angle + 0.5));
+        }
+
+        // Start point handle
+        p5.fill(255);
+        p5.stroke(74, 144, 217);
+        p5.strokeWeight(2);
+        p5.ellipse(startX, startY, 14, 14);
+    }
+
+    /**
+     * Begin aiming if the press lands on the start point handle
+     */
+    startAim(mouseX, mouseY) {
+        if (this.gameRunning) return;
+
+        const start = this.ui.getStartPosition();
+        const startX = this.mapToScreen(start.x, this.xMin, this.xMax, 0, this.canvasWidth);
+        const startY = this.mapToScreen(start.y, this.yMin, this.yMax, this.canvasHeight, 0);
+
+        if (Math.hypot(mouseX - startX, mouseY - startY) <= 20) {
+            this.aiming = true;
+            this.updateAim(mouseX, mouseY);
+        }
+    }
+
+    /**
+     * Set the launch velocity from the dragged arrow tip
+     */
+    updateAim(mouseX, mouseY) {
+        const start = this.ui.getStartPosition();
+        const x = this.mapToScreen(mouseX, 0, this.canvasWidth, this.xMin, this.xMax);
+        const y = this.mapToScreen(mouseY, this.canvasHeight, 0, this.yMin, this.yMax);
+
+        const limit = this.ui.maxLaunchSpeed;
+        this.ui.setLaunchVelocity({
+            x: Math.max(-limit, Math.min(limit, (x - start.x) / this.aimScale)),
+            y: Math.max(-limit, Math.min(limit, (y - start.y) / this.aimScale))
+        });
+    }
+
     drawStar(p5, x, y, radius1, radius2, npoints) {
         let angle = p5.TWO_PI / npoints;
         let halfAngle = angle / 2.0;
@@ -176,10 +360,11 @@ class Game {
         p5.endShape(p5.CLOSE);
     }
 
-    drawMarbles(p5) {
+    drawMarbles(p5, alpha = 1) {
         this.marbles.forEach(marble => {
-            const screenX = this.mapToScreen(marble.position.x, this.xMin, this.xMax, 0, this.canvasWidth);
-            const screenY = this.mapToScreen(-marble.position.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
+            const renderPosition = marble.getRenderPosition(alpha);
+            const screenX = this.mapToScreen(renderPosition.x, this.xMin, this.xMax, 0, this.canvasWidth);
+            const screenY = this.mapToScreen(-renderPosition.y, -this.yMax, -this.yMin, 0, this.canvasHeight);
 
             // Draw trail
             if (marble.trail.length > 1) {
@@ -213,49 +398,516 @@ class Game {
         });
     }
 
-    update() {
-        let marblesInBounds = false;
-
-        const bounds = {
-            minX: this.xMin - 2,
-            maxX: this.xMax + 2,
-            minY: this.yMin - 5,
-            maxY: this.yMax + 2
-        };
-
-        this.marbles.forEach(marble => {
-            // Use new physics engine update
-            const result = this.physics.update(marble, 1, this.equations, this.stars);
-
-            // Handle star collections from physics result
-            if (result.starsCollected && result.starsCollected.length > 0) {
-                this.starsCollected += result.starsCollected.length;
-                this.ui.updateStats(this.starsCollected, this.stars.length, this.level);
-
-                if (this.starsCollected === this.stars.length) {
-                    this.ui.showFeedback('🌟 Success! All stars collected! 🌟', 'success');
-                    this.gameRunning = false;
-                }
-            }
-
-            // Check bounds
-            if (this.physics.checkBounds(marble, bounds)) {
-                marblesInBounds = true;
-            }
+    /**
+     * Advance every marble by one fixed physics step
+     * @param {number} dt - Step size (seconds)
+     * @returns {boolean} Whether the run is still going
+     */
+    update(dt) {
+        const step = this.simulation.step(dt);
+
+        // Remember where and why marbles left curves, for the debug overlay
+        step.detachments.forEach(({ position, reason, marble }) => {
+            this.detachEvents.push({ position, reason, color: marble.color });
         });
+        if (this.detachEvents.length > 50) {
+            this.detachEvents.splice(0, this.detachEvents.length - 50);
+        }
+
+        // Handle star collections from the simulation step
+        if (step.starsCollected.length > 0) {
+            this.starsCollected += step.starsCollected.length;
+            this.ui.updateStats(this.starsCollected, this.stars.length, this.level);
+        }
 
-        // Stop simulation if all marbles are out of bounds
-        if (!marblesInBounds && this.marbles.length > 0) {
+        if (step.ended) {
             this.gameRunning = false;
-            if (this.starsCollected < this.stars.length) {
+            this.paused = false;
+            this.ui.updateRunControls(false, false);
+
+            // Finish the recording so a replay can check it matches
+            this.recording.outcome = {
+                endReason: step.endReason,
+                frames: this.simulation.frame,
+                checksum: this.simulation.checksum
+            };
+            this.ui.updateRecordingControls(true);
+
+            if (step.endReason === 'all_stars') {
+                this.ui.showFeedback('🌟 Success! All stars collected! 🌟', 'success');
+            } else {
                 // Reset all stars to uncollected when simulation fails
                 this.stars.forEach(star => {
                     star.collected = false;
                 });
                 this.starsCollected = 0;
                 this.ui.updateStats(this.starsCollected, this.stars.length, this.level);
-                this.ui.showFeedback('Try again! Adjust your equations to collect all stars.', 'info');
+                this.ui.showFeedback(`${this.describeEndReason(step.endReason)} Try again! Adjust your equations to collect all stars.`, 'info');
+            }
+        }
+
+        return this.gameRunning;
+    }
+
+    // ========================================================================
+    // PARAMETERS (SLIDERS)
+    // ========================================================================
+
+    /**
+     * Add a slider parameter, or replace the one with the same name
+     * @param {Object} parameter - From EquationParser ({name, value, min, max, step})
+     */
+    defineParameter(parameter) {
+        const index = this.parameters.findIndex(existing => existing.name === parameter.name);
+        if (index >= 0) {
+            this.parameters[index] = parameter;
+        } else {
+            this.parameters.push(parameter);
+        }
+
+        this.equationParser.parameters[parameter.name] = parameter.value;
+        this.physics.invalidatePathIndex();
+        this.ui.updateParametersList(this.parameters);
+    }
+
+    /**
+     * Replace every slider (loading a run, starting a level)
+     */
+    setParameters(parameters) {
+        this.parameters = [];
+        Object.keys(this.equationParser.parameters).forEach(name => {
+            delete this.equationParser.parameters[name];
+        });
+        parameters.forEach(parameter => this.defineParameter(parameter));
+        this.ui.updateParametersList(this.parameters);
+    }
+
+    /**
+     * Move a slider: curves redraw with the new value on the next frame, and
+     * the next launch uses it (sliders are disabled while a run is in progress)
+     */
+    setParameter(name, value) {
+        const parameter = this.parameters.find(existing => existing.name === name);
+        if (!parameter || this.gameRunning) return;
+
+        parameter.value = value;
+        this.equationParser.parameters[name] = value;
+        this.physics.invalidatePathIndex(); // Cached curve samples are stale
+    }
+
+    removeParameter(index) {
+        const parameter = this.parameters[index];
+        if (!parameter) return;
+
+        const user = this.equationParser.findUser(parameter.name, this.equations, 'parameterNames');
+        if (user) {
+            this.ui.showFeedback(`${parameter.name} is used by ${user.original}. Remove that first.`, 'error');
+            return;
+        }
+
+        this.parameters.splice(index, 1);
+        delete this.equationParser.parameters[parameter.name];
+        this.ui.updateParametersList(this.parameters);
+        this.ui.showFeedback(`Slider removed: ${parameter.name}`, 'info');
+    }
+
+    /**
+     * Put a slider's definition in the input to change its range or step;
+     * adding it again replaces the slider
+     */
+    editParameter(index) {
+        const parameter = this.parameters[index];
+        if (!parameter) return;
+
+        this.ui.clearEquationError();
+        this.ui.equationInput.value = this.describeParameter(parameter);
+        this.ui.equationInput.focus();
+        this.ui.showFeedback(`Editing slider ${parameter.name}`, 'info');
+    }
+
+    /**
+     * The definition that recreates a slider, e.g. "a = 2 @min=-10 @max=10 @step=0.1"
+     */
+    describeParameter({ name, value, min, max, step }) {
+        return `${name} = ${value} @min=${min} @max=${max} @step=${step}`;
+    }
+
+    // ========================================================================
+    // USER-DEFINED FUNCTIONS
+    // ========================================================================
+
+    /**
+     * Add or replace a function such as f(x) = x^2 - 3; every equation that
+     * calls it (directly or through another function) is parsed again
+     * Nothing changes if one of them no longer parses
+     * @param {Object} definition - From EquationParser ({name, params, body})
+     * @returns {Array<string>} Sliders added for the body's free variables
+     * @throws {Error} If the name is a slider something uses, or if an equation
+     *   or function that calls it no longer parses
+     */
+    defineFunction(definition) {
+        // Like "f = 2" while f is a function: taking over a slider would change curves nobody edited
+        const sliderUser = this.equationParser.findUser(definition.name, this.equations, 'parameterNames');
+        if (sliderUser) {
+            throw new Error(`${definition.name} is a slider used by ${sliderUser.original}, so it can't be a function too`);
+        }
+
+        const saved = { ...this.equationParser.functions };
+        let equations;
+        try {
+            const changed = this.equationParser.defineFunction(definition);
+            equations = this.equations.map(equation =>
+                equation.functionNames.some(name => changed.includes(name))
+                    ? this.equationParser.reparseEquation(equation)
+                    : equation);
+        } catch (error) {
+            // The error is about a dependent, not the definition being added
+            this.equationParser.setFunctions(saved);
+            throw new Error(`Can't redefine ${definition.name}, it would break what uses it. ${error.message}`);
+        }
+
+        this.equations = equations;
+
+        // An unused slider with the same name gives way to the function
+        const sliderIndex = this.parameters.findIndex(parameter => parameter.name === definition.name);
+        if (sliderIndex >= 0) {
+            this.parameters.splice(sliderIndex, 1);
+            delete this.equationParser.parameters[definition.name];
+        }
+
+        const added = definition.parameterNames.filter(name => !this.parameters.some(parameter => parameter.name === name));
+        added.forEach(name => this.defineParameter(this.equationParser.createParameter(name)));
+
+        this.physics.invalidatePathIndex();
+        this.ui.updateEquationsList(this.equations);
+        this.ui.updateParametersList(this.parameters);
+        this.ui.updateFunctionsList(Object.values(this.equationParser.functions));
+        return added;
+    }
+
+    removeFunction(name) {
+        const definition = this.equationParser.functions[name];
+        if (!definition) return;
+
+        const user = this.equationParser.findUser(name, this.equations, 'functionNames');
+        if (user) {
+            this.ui.showFeedback(`${name} is used by ${user.original}. Remove that first.`, 'error');
+            return;
+        }
+
+        this.equationParser.removeFunction(name);
+        this.ui.updateFunctionsList(Object.values(this.equationParser.functions));
+        this.ui.showFeedback(`Function removed: ${definition.original}`, 'info');
+    }
+
+    /**
+     * Put a function's definition in the input; adding it again replaces the
+     * function and updates every equation that uses it
+     */
+    editFunction(name) {
+        const definition = this.equationParser.functions[name];
+        if (!definition) return;
+
+        this.ui.clearEquationError();
+        this.ui.equationInput.value = definition.original;
+        this.ui.equationInput.focus();
+        this.ui.showFeedback(`Editing function ${name}`, 'info');
+    }
+
+    // ========================================================================
+    // RECORD & REPLAY
+    // ========================================================================
+
+    /**
+     * Capture everything needed to re-run the launch exactly (see Replay)
+     */
+    createRecording(start, launchVelocity, marbleCount, bounds) {
+        return {
+            version: 1,
+            seed: this.levelSeed,
+            level: this.level,
+            equations: this.equations.map(equation => equation.original),
+            functions: Object.values(this.equationParser.functions).map(definition => definition.original),
+            parameters: this.parameters.map(({ name, value, min, max, step }) => ({ name, value, min, max, step })),
+            start,
+            launchVelocity,
+            marbleCount,
+            stars: this.stars.map(({ x, y, radius }) => ({ x, y, radius })),
+            bounds,
+            physics: this.physics.getConfig()
+        };
+    }
+
+    /**
+     * Replay the last run (or a loaded one) from the start
+     */
+    startReplay(recording = this.recording) {
+        if (!recording || !recording.outcome) {
+            this.ui.showFeedback('Finish a run first, then replay it.', 'info');
+            return;
+        }
+
+        this.gameRunning = false;
+        this.paused = false;
+        this.ui.updateRunControls(false, false);
+
+        this.replay = new Replay(recording);
+        this.marbles = this.replay.marbles;
+        this.replayPlaying = true;
+        this.clock.reset();
+        this.ui.showReplayControls(this.replay.frameCount);
+
+        if (this.replay.matchesRecording()) {
+            this.ui.showFeedback('🎬 Replaying run. Drag the timeline to scrub.', 'info');
+        } else {
+            this.ui.showFeedback('Replay differs from the recorded run (physics changed since it was recorded).', 'error');
+        }
+    }
+
+    /**
+     * Show the next replay frame; stops at the end
+     * @returns {boolean} Whether playback continues
+     */
+    advanceReplay() {
+        if (this.replay.frame >= this.replay.frameCount - 1) {
+            this.replayPlaying = false;
+            return false;
+        }
+
+        this.replay.applyFrame(this.replay.frame + 1);
+        this.ui.setReplayFrame(this.replay.frame, this.replay.frameCount);
+        return true;
+    }
+
+    scrubReplay(frame) {
+        if (!this.replay) return;
+
+        this.replayPlaying = false;
+        this.replay.applyFrame(frame);
+        this.ui.setReplayFrame(this.replay.frame, this.replay.frameCount);
+    }
+
+    stopReplay() {
+        if (!this.replay) return;
+
+        this.replay = null;
+        this.replayPlaying = false;
+        this.marbles = [];
+        this.ui.hideReplayControls();
+    }
+
+    /**
+     * Copy the last run to the clipboard as JSON
+     */
+    shareRecording() {
+        if (!this.recording || !this.recording.outcome) return;
+
+        const text = JSON.stringify(this.recording);
+        navigator.clipboard.writeText(text).then(
+            () => this.ui.showFeedback('Run copied to the clipboard! 📋', 'success'),
+            () => this.ui.showFeedback('Could not copy the run to the clipboard.', 'error')
+        );
+    }
+
+    /**
+     * Load a shared run: adopt its equations, stars and launch, then replay it
+     * @param {string} text - Recording JSON
+     */
+    loadRecording(text) {
+        let recording;
+        let equations;
+        let parameters;
+        const savedFunctions = { ...this.equationParser.functions };
+        try {
+            recording = JSON.parse(text);
+            if (!Array.isArray(recording.equations) || !Array.isArray(recording.stars) || !recording.outcome) {
+                throw new Error('missing equations, stars or outcome');
             }
+            this.equationParser.resetColorIndex();
+
+            // Functions first (in recorded order, so each one's dependencies come before it)
+            this.equationParser.setFunctions({});
+            (recording.functions ?? []).forEach(definition => {
+                const parsed = this.equationParser.parseEquation(definition);
+                if (parsed.type !== 'function') {
+                    throw new Error(`invalid function ${definition}`);
+                }
+                this.equationParser.defineFunction(parsed);
+            });
+            equations = recording.equations.map(equation => this.equationParser.parseEquation(equation));
+            parameters = (recording.parameters ?? []).map(parameter => {
+                const parsed = this.equationParser.parseEquation(this.describeParameter(parameter));
+                if (parsed.type !== 'parameter') {
+                    throw new Error(`invalid slider ${parameter.name}`);
+                }
+                return parsed;
+            });
+        } catch (error) {
+            this.equationParser.setFunctions(savedFunctions);
+            this.ui.showFeedback(`Could not load run: ${error.message}`, 'error');
+            return;
+        }
+
+        this.reset();
+        this.equations = equations;
+        this.setParameters(parameters);
+        this.ui.updateFunctionsList(Object.values(this.equationParser.functions));
+        this.stars = recording.stars.map(star => ({ ...star, collected: false }));
+        this.levelSeed = recording.seed ?? null;
+        this.level = recording.level ?? this.level;
+        this.recording = recording;
+
+        this.ui.setStartPosition(recording.start ?? { x: -8, y: 8 });
+        this.ui.setLaunchVelocity(recording.launchVelocity ?? { x: 0.5, y: 0 });
+        this.ui.updateEquationsList(this.equations);
+        this.ui.updateStats(this.starsCollected, this.stars.length, this.level);
+        this.ui.updateRecordingControls(true);
+
+        this.startReplay(recording);
+    }
+
+    toggleDebugOverlay() {
+        this.debugOverlay = !this.debugOverlay;
+        this.ui.setDebugOverlay(this.debugOverlay);
+    }
+
+    /**
+     * Draw each marble's velocity, the nearest curve's tangent and contact
+     * normal at its closest point, the attach state, and every detach event
+     */
+    drawDebugOverlay(p5) {
+        const toScreenX = x => this.mapToScreen(x, this.xMin, this.xMax, 0, this.canvasWidth);
+        const toScreenY = y => this.mapToScreen(y, this.yMin, this.yMax, this.canvasHeight, 0);
+        const drawVector = (origin, vector, color) => {
+            p5.stroke(color);
+            p5.strokeWeight(2);
+            p5.line(toScreenX(origin.x), toScreenY(origin.y), toScreenX(origin.x + vector.x), toScreenY(origin.y + vector.y));
+        };
+
+        p5.textSize(11);
+        p5.textAlign(p5.LEFT, p5.CENTER);
+
+        this.marbles.forEach(marble => {
+            if (!marble.active) return;
+
+            const pathInfo = this.physics.findNearestPath(marble, this.equations);
+            if (pathInfo) {
+                const closestPoint = pathInfo.closestPoint;
+
+                // Projection from the marble onto the curve
+                p5.stroke(150);
+                p5.strokeWeight(1);
+                p5.line(toScreenX(marble.position.x), toScreenY(marble.position.y), toScreenX(closestPoint.x), toScreenY(closestPoint.y));
+                p5.noStroke();
+                p5.fill(150);
+                p5.ellipse(toScreenX(closestPoint.x), toScreenY(closestPoint.y), 6, 6);
+
+                drawVector(closestPoint, pathInfo.tangent.normalize(), '#2ECC71');
+                drawVector(closestPoint, this.physics.getContactNormal(marble, pathInfo), '#E74C3C');
+            }
+
+            drawVector(marble.position, marble.velocity.mul(0.25), '#4A90D9');
+
+            // Attach state and speed next to the marble
+            const gap = pathInfo ? pathInfo.distance - marble.radius : Infinity;
+            const state = marble.onPath ? 'on path' : 'in air';
+            p5.noStroke();
+            p5.fill(40);
+            p5.text(
+                `${state} | v ${marble.getSpeed().toFixed(2)} | gap ${isFinite(gap) ? gap.toFixed(2) : '-'}`,
+                toScreenX(marble.position.x) + 14,
+                toScreenY(marble.position.y) - 14
+            );
+        });
+
+        // Detach events, labelled with their cause
+        this.detachEvents.forEach(({ position, reason, color }) => {
+            const x = toScreenX(position.x);
+            const y = toScreenY(position.y);
+
+            p5.stroke(color);
+            p5.strokeWeight(2);
+            p5.line(x - 4, y - 4, x + 4, y + 4);
+            p5.line(x - 4, y + 4, x + 4, y - 4);
+
+            p5.noStroke();
+            p5.fill(color);
+            p5.text(this.describeDetachReason(reason), x + 7, y + 9);
+        });
+    }
+
+    /**
+     * Short label for a physics detach reason
+     */
+    describeDetachReason(reason) {
+        switch (reason) {
+            case 'slope':
+                return `slope > ${Math.round(this.physics.maxSlopeAngle * 180 / Math.PI)}°`;
+            case 'centripetal':
+                return 'too fast for curve';
+            case 'snap_distance':
+                return 'left snap distance';
+            case 'bounce':
+                return 'bounced';
+            case 'end_of_curve':
+                return 'end of curve';
+            case 'lift_off':
+                return 'lifted off';
+            default:
+                return reason;
+        }
+    }
+
+    /**
+     * Pause or resume the current run
+     */
+    togglePause() {
+        if (!this.gameRunning) return;
+
+        this.paused = !this.paused;
+        this.ui.updateRunControls(true, this.paused);
+        this.ui.showFeedback(this.paused ? 'Paused. Step through or resume when ready.' : 'Resumed.', 'info');
+    }
+
+    /**
+     * Advance a run by exactly one physics step (pausing it first)
+     */
+    stepOnce() {
+        if (!this.gameRunning) return;
+
+        if (!this.paused) {
+            this.paused = true;
+            this.ui.updateRunControls(true, true);
+        }
+        this.update(this.physics.fixedTimeStep);
+    }
+
+    /**
+     * Set the simulation speed multiplier
+     * @param {number} speed - 0.25 to 4
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.25, Math.min(4, speed || 1));
+    }
+
+    /**
+     * Player-facing explanation of why a run ended without every star
+     * @param {string} endReason - Simulation end reason
+     */
+    describeEndReason(endReason) {
+        switch (endReason) {
+            case 'out_of_bounds':
+                return 'The marbles rolled off the screen.';
+            case 'at_rest':
+                return 'The marbles came to a stop.';
+            case 'oscillating':
+                return 'The marbles got stuck rocking back and forth.';
+            case 'stalled':
+                return 'The marbles stopped making progress.';
+            case 'timeout':
+                return 'Time ran out.';
+            default:
+                return 'The run ended.';
         }
     }
 
@@ -267,12 +919,37 @@ class Game {
 
         try {
             const equation = this.equationParser.parseEquation(equationString);
+
+            if (equation.type === 'function') {
+                const added = this.defineFunction(equation);
+                this.ui.clearInput();
+                const sliders = added.length > 0 ? ` (added slider${added.length > 1 ? 's' : ''} for ${added.join(', ')})` : '';
+                this.ui.showFeedback(`Function set: ${equation.expression}${sliders}`, 'info');
+                return;
+            }
+
+            this.ui.clearInput();
+
+            if (equation.type === 'parameter') {
+                this.defineParameter(equation);
+                this.ui.showFeedback(`Slider set: ${equation.name} = ${equation.value}`, 'info');
+                return;
+            }
+
             this.equations.push(equation);
             this.ui.updateEquationsList(this.equations);
-            this.ui.clearInput();
-            this.ui.showFeedback(`Equation added: ${equation.original}`, 'info');
+
+            // Free variables get a slider, so y = a*x^2 draws right away
+            const added = equation.parameterNames.filter(name => !this.parameters.some(parameter => parameter.name === name));
+            added.forEach(name => this.defineParameter(this.equationParser.createParameter(name)));
+
+            const sliders = added.length > 0 ? ` (added slider${added.length > 1 ? 's' : ''} for ${added.join(', ')})` : '';
+            this.ui.showFeedback(`Equation added: ${equation.original}${sliders}`, 'info');
         } catch (error) {
             this.ui.showFeedback(error.message, 'error');
+            if (error.diagnostic) {
+                this.ui.showEquationError(equationString, error.diagnostic);
+            }
         }
     }
 
@@ -289,6 +966,7 @@ class Game {
             const equation = this.equations[index];
 
             // Pre-fill the input with the current equation
+            this.ui.clearEquationError();
             this.ui.equationInput.value = equation.original;
             this.ui.equationInput.focus();
             this.ui.equationInput.select();
@@ -306,32 +984,64 @@ class Game {
             return;
         }
 
-        this.marbles = [];
-
-        // Get starting position from UI
+        // Get starting position and launch velocity from UI
         const startPos = this.ui.getStartPosition();
         const startX = startPos.x;
         const startY = startPos.y;
+        const velocity = this.ui.getLaunchVelocity();
 
-        // Create marbles with the new Marble class
-        const colors = ['#4A90D9', '#E74C3C', '#2ECC71'];
-        for (let i = 0; i < Math.min(this.equations.length, 3); i++) {
-            const marble = new Marble(startX, startY - (i * 0.5), {
-                vx: 0.5,
-                vy: 0,
-                color: colors[i % colors.length]
-            });
-            // Pass stars reference to marble for path selection
-            marble.stars = this.stars;
-            this.marbles.push(marble);
-        }
+        this.stopReplay();
+
+        this.simulation = this.createLaunchSimulation(startPos, velocity, this.stars);
+        this.marbles = this.simulation.marbles;
+        this.recording = this.createRecording(startPos, velocity, this.marbles.length, this.simulation.bounds);
+        this.ui.updateRecordingControls(false);
 
+        this.clock.reset();
+        this.detachEvents = [];
         this.gameRunning = true;
+        this.paused = false;
+        this.ui.updateRunControls(true, false);
         this.ui.showFeedback(`Marbles launched from (${startX}, ${startY})! 🚀`, 'info');
     }
 
+    /**
+     * Simulation for a launch from start (used for the run and for its preview)
+     * @param {Array} stars - Stars the marbles can collect
+     * @param {Object} [limits] - maxDuration/maxFrames overrides; a run keeps the
+     *   defaults so a Replay ends the same way
+     * @returns {Simulation}
+     */
+    createLaunchSimulation(start, velocity, stars, limits = {}) {
+        // One marble per equation, up to three
+        const marbleCount = Math.min(Math.max(this.equations.length, 1), 3);
+        const marbles = Simulation.createMarbles(start, marbleCount, velocity);
+        marbles.forEach(marble => {
+            // Pass stars reference to marble for path selection
+            marble.stars = stars;
+        });
+
+        return new Simulation({
+            physics: this.physics,
+            equations: this.equations,
+            marbles,
+            stars,
+            bounds: {
+                minX: this.xMin - 2,
+                maxX: this.xMax + 2,
+                minY: this.yMin - 5,
+                maxY: this.yMax + 2
+            },
+            ...limits
+        });
+    }
+
     reset() {
+        this.stopReplay();
         this.gameRunning = false;
+        this.paused = false;
+        this.detachEvents = [];
+        this.ui.updateRunControls(false, false);
         this.marbles = [];
         this.stars.forEach(star => star.collected = false);
         this.starsCollected = 0;
@@ -339,18 +1049,24 @@ class Game {
         this.ui.showFeedback('Game reset. Ready to launch!', 'info');
     }
 
-    generateLevel() {
+    /**
+     * Generate the stars for the current level
+     * @param {number} [seed] - Level seed; a fresh random one when omitted
+     */
+    generateLevel(seed) {
+        this.random = new SeededRandom(seed);
+        this.levelSeed = this.random.seed;
         this.stars = [];
         this.starsCollected = 0;
 
         // Generate completely random stars
         const baseStarCount = Math.min(3 + this.level, 8); // 4-8 stars based on level
-        const randomVariation = Math.floor(Math.random() * 3) - 1; // -1, 0, or +1
+        const randomVariation = Math.floor(this.random.next() * 3) - 1; // -1, 0, or +1
         const starCount = Math.max(2, baseStarCount + randomVariation);
 
         // Generate stars with various distribution patterns
         const patterns = ['scattered', 'clustered', 'linear', 'mixed'];
-        const pattern = patterns[Math.floor(Math.random() * patterns.length)];
+        const pattern = patterns[Math.floor(this.random.next() * patterns.length)];
 
         this.generateStarPattern(pattern, starCount);
 
@@ -381,22 +1097,22 @@ class Game {
 
             // Ensure stars are within visible bounds with some margin
             do {
-                x = (Math.random() - 0.5) * 16; // -8 to 8
-                y = (Math.random() - 0.3) * 14; // -4 to 10 (favor upper area)
+                x = (this.random.next() - 0.5) * 16; // -8 to 8
+                y = (this.random.next() - 0.3) * 14; // -4 to 10 (favor upper area)
                 attempts++;
             } while ((x < this.xMin + 0.5 || x > this.xMax - 0.5 ||
                 y < this.yMin + 0.5 || y > this.yMax - 0.5) && attempts < 50);
 
             // Fallback to safe position if we can't find a good spot
             if (attempts >= 50) {
-                x = this.xMin + 1 + Math.random() * (this.xMax - this.xMin - 2);
-                y = this.yMin + 1 + Math.random() * (this.yMax - this.yMin - 2);
+                x = this.xMin + 1 + this.random.next() * (this.xMax - this.xMin - 2);
+                y = this.yMin + 1 + this.random.next() * (this.yMax - this.yMin - 2);
             }
 
             this.stars.push({
                 x: x,
                 y: y,
-                radius: 0.25 + Math.random() * 0.15, // Varying sizes
+                radius: 0.25 + this.random.next() * 0.15, // Varying sizes
                 collected: false
             });
         }
@@ -408,14 +1124,14 @@ class Game {
 
         for (let cluster = 0; cluster < clusterCount && starsPlaced < count; cluster++) {
             // Ensure cluster centers are within bounds
-            const centerX = this.xMin + 2 + Math.random() * (this.xMax - this.xMin - 4);
-            const centerY = this.yMin + 2 + Math.random() * (this.yMax - this.yMin - 4);
-            const clusterRadius = 1.5 + Math.random() * 2; // 1.5 to 3.5
+            const centerX = this.xMin + 2 + this.random.next() * (this.xMax - this.xMin - 4);
+            const centerY = this.yMin + 2 + this.random.next() * (this.yMax - this.yMin - 4);
+            const clusterRadius = 1.5 + this.random.next() * 2; // 1.5 to 3.5
             const starsInCluster = Math.min(Math.ceil(count / clusterCount), count - starsPlaced);
 
             for (let i = 0; i < starsInCluster; i++) {
-                const angle = Math.random() * 2 * Math.PI;
-                const distance = Math.sqrt(Math.random()) * clusterRadius;
+                const angle = this.random.next() * 2 * Math.PI;
+                const distance = Math.sqrt(this.random.next()) * clusterRadius;
                 const x = centerX + distance * Math.cos(angle);
                 const y = centerY + distance * Math.sin(angle);
 
@@ -425,7 +1141,7 @@ class Game {
                     this.stars.push({
                         x: x,
                         y: y,
-                        radius: 0.25 + Math.random() * 0.15,
+                        radius: 0.25 + this.random.next() * 0.15,
                         collected: false
                     });
                     starsPlaced++;
@@ -436,10 +1152,10 @@ class Game {
 
     generateLinearStars(count) {
         // Ensure starting point is within bounds
-        const startX = this.xMin + 1 + Math.random() * (this.xMax - this.xMin - 2);
-        const startY = this.yMin + 1 + Math.random() * (this.yMax - this.yMin - 2);
-        const angle = Math.random() * Math.PI - Math.PI / 2; // -90 to 90 degrees
-        const spacing = 1.5 + Math.random() * 1.5; // 1.5 to 3
+        const startX = this.xMin + 1 + this.random.next() * (this.xMax - this.xMin - 2);
+        const startY = this.yMin + 1 + this.random.next() * (this.yMax - this.yMin - 2);
+        const angle = this.random.next() * Math.PI - Math.PI / 2; // -90 to 90 degrees
+        const spacing = 1.5 + this.random.next() * 1.5; // 1.5 to 3
 
         for (let i = 0; i < count; i++) {
             const distance = i * spacing;
@@ -452,7 +1168,7 @@ class Game {
                 this.stars.push({
                     x: x,
                     y: y,
-                    radius: 0.25 + Math.random() * 0.15,
+                    radius: 0.25 + this.random.next() * 0.15,
                     collected: false
                 });
             }
@@ -468,8 +1184,8 @@ class Game {
     }
 
     generateRandomPositionInDisc(centerX, centerY, radius) {
-        const angle = Math.random() * 2 * Math.PI;
-        const distance = Math.sqrt(Math.random()) * radius;
+        const angle = this.random.next() * 2 * Math.PI;
+        const distance = Math.sqrt(this.random.next()) * radius;
 
         return {
             x: centerX + distance * Math.cos(angle),
@@ -481,7 +1197,12 @@ class Game {
         this.level++;
         this.generateLevel();
         this.reset();
+        this.recording = null;
+        this.ui.updateRecordingControls(false);
         this.equations = [];
+        this.setParameters([]);
+        this.equationParser.setFunctions({});
+        this.ui.updateFunctionsList([]);
         this.equationParser.resetColorIndex();
         this.ui.updateEquationsList(this.equations);
         this.ui.showFeedback(`Level ${this.level} - New challenge! 🎯`, 'info');
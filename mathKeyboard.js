@@ -16,6 +16,7 @@ class MathKeyboard {
         this.activePopup = null;
         this.container = null;
         this.previewElement = null;
+        this.error = null; // { source, diagnostic } of the last parse error
         this.keyDefinitions = this.getKeyDefinitions();
 
         this.build();
@@ -215,8 +216,9 @@ class MathKeyboard {
 
         this.container.appendChild(actionBar);
 
-        // Insert after input
-        this.input.parentNode.insertBefore(this.container, this.input.nextSibling);
+        // Insert after the input (or the element given as options.anchor)
+        const anchor = this.options.anchor ?? this.input;
+        anchor.parentNode.insertBefore(this.container, anchor.nextSibling);
     }
 
     createPanel(id, groups) {
@@ -280,7 +282,8 @@ class MathKeyboard {
         this.input.focus();
         this.input.setSelectionRange(newPos, newPos);
 
-        this.updatePreview();
+        // Let listeners (preview, error highlight) know the text changed
+        this.input.dispatchEvent(new Event('input'));
     }
 
     handleAction(action) {
@@ -319,7 +322,9 @@ class MathKeyboard {
                 break;
         }
 
-        this.updatePreview();
+        if (this.input.value !== val) {
+            this.input.dispatchEvent(new Event('input'));
+        }
     }
 
     getDeleteCount(value, pos) {
@@ -351,6 +356,12 @@ class MathKeyboard {
             return;
         }
 
+        // Until the equation is edited, show where its parse error is
+        if (this.error && this.input.value === this.error.source) {
+            this.renderError();
+            return;
+        }
+
         const formatted = this.formatDisplay(val);
 
         if (typeof katex !== 'undefined') {
@@ -365,6 +376,42 @@ class MathKeyboard {
         }
     }
 
+    /**
+     * Show a parse error in the preview until the input changes
+     * @param {string} equationString - The text that failed to parse
+     * @param {Object} diagnostic - { code, message, start, end, fix } from EquationParser
+     */
+    showError(equationString, diagnostic) {
+        this.error = { source: equationString, diagnostic };
+        this.updatePreview();
+    }
+
+    clearError() {
+        if (!this.error) return;
+        this.error = null;
+        this.updatePreview();
+    }
+
+    /**
+     * The raw equation with the error's span underlined (KaTeX output can't be
+     * mapped back to character positions)
+     */
+    renderError() {
+        const { source, diagnostic } = this.error;
+
+        const span = document.createElement('span');
+        span.className = 'error-span';
+        span.textContent = source.substring(diagnostic.start, diagnostic.end) || '\u00a0';
+
+        const text = document.createElement('span');
+        text.className = 'preview-error-text';
+        text.title = diagnostic.message;
+        text.append(source.substring(0, diagnostic.start), span, source.substring(diagnostic.end));
+
+        this.previewElement.textContent = '';
+        this.previewElement.appendChild(text);
+    }
+
     toLatex(expr) {
         let latex = expr;
 
@@ -424,6 +471,9 @@ class MathKeyboard {
 document.addEventListener('DOMContentLoaded', () => {
     const input = document.getElementById('equationInput');
     if (input) {
-        window.mathKeyboard = new MathKeyboard(input, { showPreview: true });
+        window.mathKeyboard = new MathKeyboard(input, {
+            showPreview: true,
+            anchor: document.getElementById('equationError')
+        });
     }
 });
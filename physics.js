@@ -5,12 +5,22 @@
  * 
  * Features:
  * - Gravity and friction forces
+ * - Configurable gravity fields (any direction, point wells, radial "planets")
+ * - Pluggable force generators (wind, magnets, springs, conveyors, ...)
  * - Tangent-based motion along curves
+ * - Symbolic derivatives where possible, finite differences otherwise
  * - Normal force preventing falling through curves
- * - Smooth path snapping and detachment
- * - Support for explicit_y, explicit_x, implicit, polar, parametric curves
- * - Star collision detection
+ * - Radius-aware contact (marbles rest on top of curves, touch several at once)
+ * - Smooth path snapping and detachment (each detach reports its cause)
+ * - Impact bouncing off curves above a normal-speed threshold
+ * - Support for explicit_y, explicit_x, implicit, polar, parametric curves (all with curvature)
+ * - Inequality regions as solid terrain or physics zones (water, ice, ...)
+ * - Per-equation surface materials (friction, bounciness, stickiness)
+ * - Swept star collision detection (no tunnelling at high speed)
+ * - Grid index of sampled curves, so only nearby paths are searched
+ * - Marble-to-marble collisions
  * - World boundary handling
+ * - Fixed-timestep stepping independent of display frame rate
  * 
  * ============================================================================
  */
@@ -124,6 +134,383 @@ class Vector2D {
     }
 }
 
+// ============================================================================
+// GRAVITY FIELD CLASS
+// ============================================================================
+
+/**
+ * Gravity as a function of position: a uniform part plus any number of
+ * local sources. PhysicsEngine samples it wherever a marble is.
+ *
+ *   new GravityField({ uniform: { x: 0, y: 0 }, sources: [{ type: 'radial', x: 0, y: 0, strength: 9.8 }] })
+ */
+class GravityField {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.uniform] - Acceleration {x, y} applied everywhere (default straight down)
+     * @param {Array} [config.sources] - Local sources, each {type, x, y, strength, radius}:
+     *   'point'  - inverse-square well toward (x, y); negative strength repels.
+     *              Inside `radius` the pull stops growing.
+     *   'radial' - "planet" gravity: constant strength toward (x, y); negative pushes outward
+     */
+    constructor(config = {}) {
+        this.uniform = Vector2D.fromObject(config.uniform ?? { x: 0, y: -9.8 });
+
+        this.sources = (config.sources ?? []).map(source => {
+            if (source.type !== 'point' && source.type !== 'radial') {
+                throw new Error(`Unknown gravity source type "${source.type}"`);
+            }
+            return { x: 0, y: 0, strength: 9.8, radius: 1, ...source };
+        });
+    }
+
+    /**
+     * Gravitational acceleration at a position
+     * @param {Vector2D} position
+     * @returns {Vector2D}
+     */
+    at(position) {
+        let acceleration = this.uniform;
+
+        for (const source of this.sources) {
+            const toSource = new Vector2D(source.x - position.x, source.y - position.y);
+            const distance = toSource.magnitude();
+            if (distance < 1e-9) continue;
+
+            const magnitude = source.type === 'point'
+                ? source.strength / Math.max(distance, source.radius) ** 2
+                : source.strength;
+
+            acceleration = acceleration.add(toSource.mul(magnitude / distance));
+        }
+
+        return acceleration;
+    }
+}
+
+// ============================================================================
+// FORCE GENERATORS
+// ============================================================================
+
+/**
+ * Ready-made generators for PhysicsEngine.addForce. Each factory returns a
+ * function (marble, pathInfo, dt) => acceleration.
+ *
+ *   physics.addForce('wind', Forces.wind({ x: 2, y: 0 }));
+ */
+const Forces = {
+    /**
+     * Constant push everywhere, e.g. a steady breeze
+     * @param {Object} acceleration - {x, y}
+     */
+    wind(acceleration) {
+        const push = Vector2D.fromObject(acceleration);
+        return () => push;
+    },
+
+    /**
+     * Inverse-square pull toward a point within a limited range; negative strength repels
+     * @param {Object} options - {x, y, strength, range}
+     */
+    magnet({ x, y, strength = 20, range = 4 }) {
+        const center = new Vector2D(x, y);
+        return (marble) => {
+            const toMagnet = center.sub(marble.position);
+            const distance = toMagnet.magnitude();
+            if (distance > range || distance < 1e-9) return null;
+
+            return toMagnet.mul(strength / (Math.max(distance, 0.5) ** 2 * distance));
+        };
+    },
+
+    /**
+     * Damped spring pulling the marble toward an anchor point
+     * @param {Object} options - {x, y, stiffness, damping}
+     */
+    spring({ x, y, stiffness = 4, damping = 0.2 }) {
+        const anchor = new Vector2D(x, y);
+        return (marble) => anchor.sub(marble.position).mul(stiffness).sub(marble.velocity.mul(damping));
+    },
+
+    /**
+     * Drive marbles rolling on one equation toward a set speed along it
+     * @param {Object} equation - Parsed equation acting as the belt
+     * @param {number} speed - Target speed in the +x direction of the tangent (negative for -x)
+     * @param {number} [grip] - How quickly the belt matches the speed (1/s)
+     */
+    conveyor(equation, speed, grip = 3) {
+        return (marble, pathInfo) => {
+            if (!pathInfo || pathInfo.equation !== equation || !marble.onPath) return null;
+
+            let tangent = pathInfo.tangent.normalize();
+            if (tangent.x < 0) tangent = tangent.mul(-1);
+
+            const currentSpeed = marble.velocity.dot(tangent);
+            return tangent.mul((speed - currentSpeed) * grip);
+        };
+    }
+};
+
+// ============================================================================
+// PATH INDEX
+// ============================================================================
+
+/**
+ * Points sampled along every equation, bucketed into a uniform grid, so a
+ * nearest-path query only has to refine the curves that pass near a marble.
+ *
+ * Each sample remembers the parameter range to its neighbours (x, y, t or θ),
+ * which brackets the exact closest point for the local search. Implicit curves
+ * and region boundaries are sampled where f(x, y) changes sign on a grid; their
+ * samples bracket it with the grid square around them ({x, y} min and max corners).
+ * Only `bounds` is indexed; equations that cannot be sampled are "unindexed"
+ * and always searched in full.
+ */
+class PathIndex {
+    /**
+     * @param {Array} equations - Parsed equation objects
+     * @param {Object} [options]
+     * @param {Object} [options.bounds] - {minX, maxX, minY, maxY} area to index
+     * @param {number} [options.cellSize] - Grid cell size (world units)
+     * @param {number} [options.spacing] - Target distance between curve samples
+     */
+    constructor(equations, options = {}) {
+        this.equations = equations.slice();
+        this.bounds = options.bounds ?? { minX: -16, maxX: 16, minY: -16, maxY: 16 };
+        this.cellSize = options.cellSize ?? 1;
+        this.spacing = options.spacing ?? 0.1;
+
+        this.cells = new Map(); // "i,j" -> [{equation, x, y, min, max}]
+        this.unindexed = [];
+
+        for (const equation of this.equations) {
+            const samples = this.sampleEquation(equation);
+            if (samples) {
+                samples.forEach(sample => this.insert(sample));
+            } else {
+                this.unindexed.push(equation);
+            }
+        }
+    }
+
+    /** Whether the index was built from exactly these equation objects */
+    matches(equations) {
+        return equations.length === this.equations.length &&
+            equations.every((equation, i) => equation === this.equations[i]);
+    }
+
+    /**
+     * Nearest sample of every equation within `radius` of a position
+     * @returns {Map|null} equation -> sample (null seed for unindexed equations),
+     *   or null if the position is outside the indexed area
+     */
+    query(position, radius) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        if (position.x < minX || position.x > maxX || position.y < minY || position.y > maxY) {
+            return null;
+        }
+
+        const nearest = new Map();
+        const distances = new Map();
+
+        const iMin = Math.floor((position.x - radius) / this.cellSize);
+        const iMax = Math.floor((position.x + radius) / this.cellSize);
+        const jMin = Math.floor((position.y - radius) / this.cellSize);
+        const jMax = Math.floor((position.y + radius) / this.cellSize);
+
+        for (let i = iMin; i <= iMax; i++) {
+            for (let j = jMin; j <= jMax; j++) {
+                for (const sample of this.cells.get(`${i},${j}`) ?? []) {
+                    const distance = Math.hypot(sample.x - position.x, sample.y - position.y);
+                    if (distance <= radius && distance < (distances.get(sample.equation) ?? Infinity)) {
+                        distances.set(sample.equation, distance);
+                        nearest.set(sample.equation, sample);
+                    }
+                }
+            }
+        }
+
+        this.unindexed.forEach(equation => nearest.set(equation, null));
+        return nearest;
+    }
+
+    insert(sample) {
+        const key = `${Math.floor(sample.x / this.cellSize)},${Math.floor(sample.y / this.cellSize)}`;
+        if (!this.cells.has(key)) {
+            this.cells.set(key, []);
+        }
+        this.cells.get(key).push(sample);
+    }
+
+    /**
+     * Sample one equation
+     * @returns {Array|null} Samples, or null if this kind of equation can't be indexed
+     */
+    sampleEquation(equation) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+
+        switch (equation.type) {
+            case 'explicit_y':
+            case 'piecewise':
+            case 'constant_y':
+                return this.sampleCurve(equation, x => ({ x, y: equation.evaluate(x) }), minX, maxX);
+
+            case 'explicit_x':
+            case 'constant_x':
+                return this.sampleCurve(equation, y => ({ x: equation.evaluate(y), y }), minY, maxY);
+
+            case 'polar':
+                return this.sampleCurve(equation, theta => {
+                    const r = equation.evaluate(theta);
+                    return { x: r * Math.cos(theta), y: r * Math.sin(theta) };
+                }, equation.domain.min, equation.domain.max);
+
+            case 'parametric':
+                return this.sampleCurve(equation, t => ({ x: equation.evaluateX(t), y: equation.evaluateY(t) }),
+                    equation.domain.min, equation.domain.max);
+
+            case 'implicit':
+                return this.sampleImplicit(equation, (x, y) => equation.evaluate(x, y));
+
+            case 'inequality':
+                // Zones are never rolled on
+                return equation.zone ? [] : this.sampleImplicit(equation, (x, y) => equation.boundary(x, y));
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Sample a parameterised curve from min to max, halving steps (up to 64x)
+     * wherever neighbouring points are further apart than `spacing`
+     */
+    sampleCurve(equation, pointAt, min, max) {
+        const parameters = [];
+        const points = [];
+
+        const finitePointAt = (parameter) => {
+            const point = pointAt(parameter);
+            return isFinite(point.x) && isFinite(point.y) ? point : null;
+        };
+
+        // Also subdivides toward a gap in the curve (e.g. y = 1/x near x = 0)
+        const subdivide = (a, pointA, b, pointB, depth) => {
+            if (depth === 0 || (!pointA && !pointB) ||
+                (pointA && pointB && Math.hypot(pointB.x - pointA.x, pointB.y - pointA.y) <= this.spacing)) {
+                return;
+            }
+            const middle = (a + b) / 2;
+            const pointMiddle = finitePointAt(middle);
+            subdivide(a, pointA, middle, pointMiddle, depth - 1);
+            parameters.push(middle);
+            points.push(pointMiddle);
+            subdivide(middle, pointMiddle, b, pointB, depth - 1);
+        };
+
+        const count = Math.max(1, Math.ceil((max - min) / this.spacing));
+        let previous = min;
+        let previousPoint = finitePointAt(min);
+        parameters.push(previous);
+        points.push(previousPoint);
+
+        for (let i = 1; i <= count; i++) {
+            const parameter = Math.min(min + i * this.spacing, max);
+            const point = finitePointAt(parameter);
+            subdivide(previous, previousPoint, parameter, point, 6);
+            parameters.push(parameter);
+            points.push(point);
+            previous = parameter;
+            previousPoint = point;
+        }
+
+        // Keep samples in (or just around) the indexed area
+        const margin = this.cellSize;
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const samples = [];
+
+        points.forEach((point, i) => {
+            if (!point || point.x < minX - margin || point.x > maxX + margin ||
+                point.y < minY - margin || point.y > maxY + margin) {
+                return;
+            }
+            samples.push({
+                equation,
+                x: point.x,
+                y: point.y,
+                min: parameters[Math.max(0, i - 1)],
+                max: parameters[Math.min(parameters.length - 1, i + 1)]
+            });
+        });
+
+        return samples;
+    }
+
+    /**
+     * Sample an implicit curve f(x, y) = 0 on a grid: where f changes sign between
+     * neighbouring nodes (interpolating the crossing), and at nodes whose Newton
+     * estimate |f| / |∇f| puts the curve within one grid step (catching curves
+     * such as (x² + y² - 9)² = 0 that touch zero without changing sign).
+     * Returns null if nothing is found.
+     */
+    sampleImplicit(equation, f) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const step = this.spacing * 2.5;
+        const columns = Math.ceil((maxX - minX) / step);
+        const rows = Math.ceil((maxY - minY) / step);
+
+        const values = [];
+        for (let i = 0; i <= columns; i++) {
+            values.push([]);
+            for (let j = 0; j <= rows; j++) {
+                values[i].push(f(minX + i * step, minY + j * step));
+            }
+        }
+
+        const samples = [];
+        const addSample = (x, y) => samples.push({
+            equation,
+            x,
+            y,
+            min: { x: x - step, y: y - step },
+            max: { x: x + step, y: y + step }
+        });
+
+        for (let i = 0; i <= columns; i++) {
+            for (let j = 0; j <= rows; j++) {
+                const x = minX + i * step;
+                const y = minY + j * step;
+                const value = values[i][j];
+                if (!isFinite(value)) continue;
+
+                // Sign changes along the edges to the right and above
+                const right = i < columns ? values[i + 1][j] : NaN;
+                const above = j < rows ? values[i][j + 1] : NaN;
+                if (isFinite(right) && value * right < 0) {
+                    addSample(x + step * value / (value - right), y);
+                }
+                if (isFinite(above) && value * above < 0) {
+                    addSample(x, y + step * value / (value - above));
+                }
+
+                // Near-zero nodes, using the grid's own central differences
+                if (i === 0 || j === 0 || i === columns || j === rows) continue;
+                const fx = (values[i + 1][j] - values[i - 1][j]) / (2 * step);
+                const fy = (values[i][j + 1] - values[i][j - 1]) / (2 * step);
+                const gradientSquared = fx * fx + fy * fy;
+                if (value === 0) {
+                    addSample(x, y);
+                } else if (gradientSquared > 0 && isFinite(gradientSquared) &&
+                    Math.abs(value) <= Math.sqrt(gradientSquared) * step) {
+                    addSample(x - value * fx / gradientSquared, y - value * fy / gradientSquared);
+                }
+            }
+        }
+
+        return samples.length > 0 ? samples : null;
+    }
+}
+
 // ============================================================================
 // PHYSICS ENGINE CLASS
 // ============================================================================
@@ -140,8 +527,19 @@ class PhysicsEngine {
         /** Global gravity acceleration (negative = downward) */
         this.gravity = config.gravity ?? -9.8;
 
-        /** Time scale factor for simulation speed */
-        this.timeScale = config.timeScale ?? 0.016;
+        /** Gravity field sampled at each marble (GravityField or its config; uniform defaults to `gravity` downward) */
+        this.gravityField = config.gravityField instanceof GravityField
+            ? config.gravityField
+            : new GravityField({ uniform: { x: 0, y: this.gravity }, ...config.gravityField });
+
+        /** Time scale factor for simulation speed (simulated seconds per real second) */
+        this.timeScale = config.timeScale ?? 0.96;
+
+        /** Fixed physics step (seconds of real time per update) */
+        this.fixedTimeStep = config.fixedTimeStep ?? 1 / 60;
+
+        /** Maximum physics steps per rendered frame (caps catch-up after a stall) */
+        this.maxSubSteps = config.maxSubSteps ?? 8;
 
         /** Rolling friction coefficient (energy loss while rolling) */
         this.rollingFriction = config.rollingFriction ?? 0.02;
@@ -149,7 +547,7 @@ class PhysicsEngine {
         /** Air drag coefficient (resistance in free fall) */
         this.airDrag = config.airDrag ?? 0.01;
 
-        /** Path snap distance threshold */
+        /** Path snap distance threshold (measured from the marble's surface) */
         this.snapDistance = config.snapDistance ?? 0.5;
 
         /** Snap strength (0-1, how quickly marble snaps to path) */
@@ -164,14 +562,104 @@ class PhysicsEngine {
         /** Bounce coefficient for collisions */
         this.bounceCoefficient = config.bounceCoefficient ?? 0.6;
 
+        /** Normal impact speed above which a falling marble bounces off a curve instead of settling */
+        this.impactThreshold = config.impactThreshold ?? 4;
+
         /** Minimum velocity magnitude (prevent floating point issues) */
         this.minVelocity = config.minVelocity ?? 0.001;
 
-        /** Derivative calculation step size */
+        /** Finite-difference step, used when an equation has no symbolic derivative */
         this.derivativeStep = config.derivativeStep ?? 0.001;
 
         /** Numerical search resolution for closest point */
         this.searchResolution = config.searchResolution ?? 0.05;
+
+        /** Area covered by the nearest-path index; outside it every curve gets a full search */
+        this.pathIndexBounds = config.pathIndexBounds ?? { minX: -16, maxX: 16, minY: -16, maxY: 16 };
+
+        /** Sampled curves for nearest-path queries (see getPathIndex) */
+        this.pathIndex = null;
+
+        // -------------------------------------------------------------------
+        // CUSTOM FORCES (see addForce)
+        // -------------------------------------------------------------------
+        this.forces = new Map();
+        Object.entries(config.forces ?? {}).forEach(([name, generator]) => this.addForce(name, generator));
+    }
+
+    /**
+     * Plain, JSON-safe copy of the engine's configuration; passing it back to
+     * the constructor rebuilds an identical engine (custom forces excepted)
+     * @returns {Object}
+     */
+    getConfig() {
+        return {
+            gravity: this.gravity,
+            gravityField: {
+                uniform: this.gravityField.uniform.toObject(),
+                sources: this.gravityField.sources.map(source => ({ ...source }))
+            },
+            timeScale: this.timeScale,
+            fixedTimeStep: this.fixedTimeStep,
+            maxSubSteps: this.maxSubSteps,
+            rollingFriction: this.rollingFriction,
+            airDrag: this.airDrag,
+            snapDistance: this.snapDistance,
+            snapStrength: this.snapStrength,
+            detachThreshold: this.detachThreshold,
+            maxSlopeAngle: this.maxSlopeAngle,
+            bounceCoefficient: this.bounceCoefficient,
+            impactThreshold: this.impactThreshold,
+            minVelocity: this.minVelocity,
+            derivativeStep: this.derivativeStep,
+            searchResolution: this.searchResolution,
+            pathIndexBounds: { ...this.pathIndexBounds }
+        };
+    }
+
+    // ========================================================================
+    // FORCE REGISTRY
+    // ========================================================================
+
+    /**
+     * Register a custom force generator, replacing any with the same name.
+     * The generator is called every step as generator(marble, pathInfo, dt),
+     * where pathInfo is null while the marble is in the air, and returns an
+     * acceleration {x, y} (or null for none). On a path only the component
+     * along the tangent is applied.
+     * @param {string} name
+     * @param {Function} generator
+     */
+    addForce(name, generator) {
+        if (typeof generator !== 'function') {
+            throw new Error(`Force "${name}" must be a function returning an acceleration`);
+        }
+        this.forces.set(name, generator);
+    }
+
+    /**
+     * Remove a custom force generator
+     * @returns {boolean} Whether a force with that name was registered
+     */
+    removeForce(name) {
+        return this.forces.delete(name);
+    }
+
+    /**
+     * Sum of every custom force's acceleration on a marble
+     * @returns {Vector2D}
+     */
+    getCustomAcceleration(marble, pathInfo, dt) {
+        let acceleration = new Vector2D(0, 0);
+
+        for (const generator of this.forces.values()) {
+            const force = generator(marble, pathInfo, dt);
+            if (force) {
+                acceleration = acceleration.add(Vector2D.fromObject(force));
+            }
+        }
+
+        return acceleration;
     }
 
     // ========================================================================
@@ -180,18 +668,26 @@ class PhysicsEngine {
 
     /**
      * Main physics update for a marble
+     * Call once per fixed step (see FixedTimestep) so results do not depend on frame rate.
      * @param {Marble} marble - The marble to update
-     * @param {number} dt - Delta time (seconds)
+     * @param {number} dt - Delta time (seconds), normally this.fixedTimeStep
      * @param {Array} equations - Array of equation objects
      * @param {Array} stars - Array of star objects
-     * @returns {Object} Update result with events (star collected, out of bounds, etc.)
+     * @returns {Object} Update result with events (star collected, out of bounds, etc.).
+     *   When `detached` is set, `detachReason` says why:
+     *   'slope' (steeper than maxSlopeAngle while slow), 'centripetal' (curving too
+     *   fast to stay on), 'snap_distance' (moved beyond snapDistance), 'bounce'
+     *   (hard impact), 'end_of_curve' or 'lift_off' (moving away from the curve)
      */
     update(marble, dt, equations, stars = []) {
         const result = {
             starsCollected: [],
             outOfBounds: false,
             detached: false,
-            attached: false
+            detachReason: null,
+            attached: false,
+            bounced: false,
+            contacts: []
         };
 
         // Scale dt by time factor
@@ -200,18 +696,26 @@ class PhysicsEngine {
         // Store previous state
         const wasOnPath = marble.onPath;
         const previousPosition = marble.position.clone();
+        marble.previousPosition = previousPosition;
+
+        // Physics overrides from any zones the marble is inside
+        const zoneEffects = this.getZoneEffects(marble, equations);
 
         // -------------------------------------------------------------------
         // STEP 1: Find nearest path and determine if marble should be on it
         // -------------------------------------------------------------------
-        const pathInfo = this.findNearestPath(marble, equations);
+        const pathInfo = this.findNearestPath(marble, equations, marble.radius + this.snapDistance);
 
         // -------------------------------------------------------------------
         // STEP 2: Determine path state (on path, transitioning, or free fall)
         // -------------------------------------------------------------------
-        if (pathInfo && pathInfo.distance < this.snapDistance) {
-            // Close enough to a path
-            const shouldAttach = this.shouldAttachToPath(marble, pathInfo);
+        if (pathInfo && pathInfo.distance - marble.radius < this.snapDistance) {
+            // Close enough to a path; hard landings bounce on contact instead of snapping on
+            if (!wasOnPath && this.applyImpact(marble, pathInfo, scaledDt)) {
+                result.bounced = true;
+            }
+
+            const shouldAttach = !result.bounced && this.shouldAttachToPath(marble, pathInfo);
 
             if (shouldAttach) {
                 if (!wasOnPath) {
@@ -221,27 +725,40 @@ class PhysicsEngine {
                 marble.currentEquation = pathInfo.equation;
 
                 // Apply path-following physics
-                this.updateOnPath(marble, pathInfo, scaledDt);
+                this.updateOnPath(marble, pathInfo, scaledDt, zoneEffects);
 
                 // Check if should detach (too steep, etc.)
-                if (this.shouldDetachFromPath(marble, pathInfo)) {
+                const detachReason = this.shouldDetachFromPath(marble, pathInfo, zoneEffects);
+                if (detachReason) {
                     marble.onPath = false;
                     marble.currentEquation = null;
                     result.detached = true;
+                    result.detachReason = detachReason;
                 }
             } else {
+                if (wasOnPath) {
+                    result.detached = true;
+                    if (result.bounced) {
+                        result.detachReason = 'bounce';
+                    } else if (this.isEndContact(marble.position, pathInfo)) {
+                        result.detachReason = 'end_of_curve';
+                    } else {
+                        result.detachReason = 'lift_off';
+                    }
+                }
                 marble.onPath = false;
                 marble.currentEquation = null;
-                this.updateInAir(marble, scaledDt);
+                this.updateInAir(marble, scaledDt, zoneEffects);
             }
         } else {
             // Too far from any path - free fall
             if (wasOnPath) {
                 result.detached = true;
+                result.detachReason = 'snap_distance';
             }
             marble.onPath = false;
             marble.currentEquation = null;
-            this.updateInAir(marble, scaledDt);
+            this.updateInAir(marble, scaledDt, zoneEffects);
         }
 
         // -------------------------------------------------------------------
@@ -249,16 +766,30 @@ class PhysicsEngine {
         // -------------------------------------------------------------------
         marble.position = marble.position.add(marble.velocity.mul(scaledDt));
 
+        // Keep the marble's surface out of every curve it now touches
+        result.contacts = this.resolveCurveContacts(marble, equations);
+
         // -------------------------------------------------------------------
-        // STEP 4: Check star collisions
+        // STEP 4: Check star collisions along the whole step
+        // (so fast marbles cannot skip over a star between frames)
         // -------------------------------------------------------------------
+        const hits = [];
         for (const star of stars) {
-            if (!star.collected && this.checkCollision(marble, star)) {
-                star.collected = true;
-                result.starsCollected.push(star);
+            if (star.collected) continue;
+
+            const time = this.getSweptContactTime(previousPosition, marble.position, marble.radius, star);
+            if (time !== null) {
+                hits.push({ star, time });
             }
         }
 
+        // Report stars in the order the marble reached them
+        hits.sort((a, b) => a.time - b.time);
+        for (const { star } of hits) {
+            star.collected = true;
+            result.starsCollected.push(star);
+        }
+
         // -------------------------------------------------------------------
         // STEP 5: Update trail
         // -------------------------------------------------------------------
@@ -272,7 +803,7 @@ class PhysicsEngine {
             if (marble.velocity.magnitude() > 0) {
                 marble.velocity = marble.velocity.normalize().mul(this.minVelocity * 2);
             } else {
-                marble.velocity = new Vector2D(0.01, this.gravity * 0.01);
+                marble.velocity = this.getGravity(marble.position).normalize().mul(this.minVelocity * 2);
             }
         }
 
@@ -285,31 +816,36 @@ class PhysicsEngine {
 
     /**
      * Update marble physics while on a path
+     * @param {Object} [effects] - Zone overrides (see getZoneEffects)
      */
-    updateOnPath(marble, pathInfo, dt) {
-        const { closestPoint, tangent, normal, equation } = pathInfo;
+    updateOnPath(marble, pathInfo, dt, effects = this.getZoneEffects(marble, [])) {
+        const { closestPoint, tangent } = pathInfo;
 
         // -------------------------------------------------------------------
         // Snap marble to path (smooth interpolation)
+        // The marble's centre sits one radius off the curve, on the side it is on
         // -------------------------------------------------------------------
-        const targetPosition = new Vector2D(closestPoint.x, closestPoint.y);
+        const contactNormal = this.getContactNormal(marble, pathInfo);
+        const targetPosition = Vector2D.fromObject(closestPoint).add(contactNormal.mul(marble.radius));
         marble.position = marble.position.lerp(targetPosition, this.snapStrength);
 
         // -------------------------------------------------------------------
         // Project velocity onto tangent direction
         // -------------------------------------------------------------------
         const tangentUnit = tangent.normalize();
-        const normalUnit = normal.normalize();
 
         // Get velocity component along tangent
         let tangentSpeed = marble.velocity.dot(tangentUnit);
 
         // -------------------------------------------------------------------
         // Apply gravity along tangent
-        // The component of gravity along the tangent causes acceleration
-        // Gravity vector is (0, gravity) where gravity is negative
+        // The component of the local gravity field along the tangent causes
+        // acceleration; zone pushes and custom forces act along the tangent the same way
         // -------------------------------------------------------------------
-        const gravityVector = new Vector2D(0, this.gravity);
+        const gravity = this.getGravity(marble.position).mul(effects.gravityScale);
+        const gravityVector = gravity
+            .add(effects.push)
+            .add(this.getCustomAcceleration(marble, pathInfo, dt));
         const gravityAlongTangent = gravityVector.dot(tangentUnit);
 
         // Add gravity acceleration to tangent speed
@@ -318,7 +854,8 @@ class PhysicsEngine {
         // -------------------------------------------------------------------
         // Apply rolling friction (opposes motion)
         // -------------------------------------------------------------------
-        const frictionForce = -Math.sign(tangentSpeed) * this.rollingFriction * Math.abs(this.gravity);
+        const friction = effects.rollingFriction ?? this.getMaterial(pathInfo.equation).friction;
+        const frictionForce = -Math.sign(tangentSpeed) * friction * gravity.magnitude();
 
         // Only apply friction if it won't reverse the direction
         if (Math.abs(frictionForce * dt) < Math.abs(tangentSpeed)) {
@@ -328,21 +865,10 @@ class PhysicsEngine {
         }
 
         // -------------------------------------------------------------------
-        // Ensure movement direction (prefer positive x direction for natural flow)
+        // Set new velocity along tangent (either direction, so leftward
+        // launches and uphill roll-backs are kept)
         // -------------------------------------------------------------------
-        // If tangent points in negative x direction, reverse it
-        // This ensures marble generally moves "right" along curves
-        let effectiveTangent = tangentUnit;
-        if (tangentUnit.x < 0 && Math.abs(tangentSpeed) < 0.1) {
-            // At low speeds, prefer positive x direction
-            effectiveTangent = tangentUnit.mul(-1);
-            tangentSpeed = Math.abs(tangentSpeed);
-        }
-
-        // -------------------------------------------------------------------
-        // Set new velocity along tangent
-        // -------------------------------------------------------------------
-        marble.velocity = effectiveTangent.mul(tangentSpeed);
+        marble.velocity = tangentUnit.mul(tangentSpeed);
 
         // -------------------------------------------------------------------
         // Apply small normal force to keep marble on path
@@ -350,21 +876,119 @@ class PhysicsEngine {
         // -------------------------------------------------------------------
         const distanceFromPath = marble.position.distanceTo(targetPosition);
         if (distanceFromPath > 0.01) {
-            const correctionForce = normalUnit.mul(-distanceFromPath * 0.5);
+            const correctionForce = targetPosition.sub(marble.position).mul(0.5);
             marble.velocity = marble.velocity.add(correctionForce);
         }
     }
 
+    /**
+     * Bounce a marble off a curve if it hits faster than impactThreshold.
+     * The normal component of velocity is reflected and scaled by the curve's
+     * bounciness; the tangential component is kept.
+     * @param {number} dt - Step length, to tell whether the marble reaches the curve this step
+     * @returns {boolean} Whether the marble bounced
+     */
+    applyImpact(marble, pathInfo, dt) {
+        // The tip of a curve is only hit once the marble actually touches it
+        if (this.isEndContact(marble.position, pathInfo) && pathInfo.distance > marble.radius) {
+            return false;
+        }
+
+        const material = this.getMaterial(pathInfo.equation);
+        const contactNormal = this.getContactNormal(marble, pathInfo);
+        const normalSpeed = marble.velocity.dot(contactNormal);
+
+        // Negative normal speed means moving into the curve; sticky surfaces catch harder hits
+        if (-normalSpeed <= this.getImpactThreshold(material)) {
+            return false;
+        }
+
+        // Only on contact: already touching, or closing the gap during this step
+        const gap = pathInfo.distance - marble.radius;
+        if (gap > 0 && -normalSpeed * dt < gap) {
+            return false;
+        }
+
+        marble.velocity = marble.velocity.sub(contactNormal.mul((1 + material.bounciness) * normalSpeed));
+        return true;
+    }
+
+    /**
+     * Unit normal of the path at the closest point, facing the side the marble is on
+     * @param {Vector2D} [fromPosition] - Position that decides the side (defaults to the marble's)
+     */
+    getContactNormal(marble, pathInfo, fromPosition = marble.position) {
+        const normal = pathInfo.normal.normalize();
+
+        // Solid regions only ever push outward
+        if (pathInfo.solid) {
+            return normal;
+        }
+        const offset = fromPosition.sub(Vector2D.fromObject(pathInfo.closestPoint));
+
+        // Touching the tip of a curve: push straight away from the end point
+        if (this.isEndContact(fromPosition, pathInfo)) {
+            return offset.normalize();
+        }
+
+        const side = offset.dot(normal);
+
+        if (Math.abs(side) > 1e-6) {
+            return side > 0 ? normal : normal.mul(-1);
+        }
+
+        // Exactly on the curve: keep the side of the previous position, else rest on top
+        // (velocity can't decide it: a marble at rest has none)
+        const previousSide = marble.previousPosition
+            ? marble.previousPosition.sub(Vector2D.fromObject(pathInfo.closestPoint)).dot(normal)
+            : 0;
+        if (Math.abs(previousSide) > 1e-6) {
+            return previousSide > 0 ? normal : normal.mul(-1);
+        }
+
+        return this.getGravity(marble.position).dot(normal) > 0 ? normal.mul(-1) : normal;
+    }
+
+    /**
+     * Whether the closest point is an end of the curve (e.g. the edge of a
+     * piecewise domain) rather than the foot of a perpendicular
+     */
+    isEndContact(position, pathInfo) {
+        if (pathInfo.solid) return false;
+
+        const offset = position.sub(Vector2D.fromObject(pathInfo.closestPoint));
+        const distance = offset.magnitude();
+
+        return distance > 1e-3 && Math.abs(offset.dot(pathInfo.normal.normalize())) < distance * 0.95;
+    }
+
     /**
      * Check if marble should attach to a path
      */
     shouldAttachToPath(marble, pathInfo) {
+        // Beyond the end of a curve there is nothing to roll on
+        if (this.isEndContact(marble.position, pathInfo)) {
+            return false;
+        }
+
+        // Never grab a marble that is bouncing away from the curve
+        const material = this.getMaterial(pathInfo.equation);
+        const separatingSpeed = marble.velocity.dot(this.getContactNormal(marble, pathInfo));
+        if (separatingSpeed > this.getImpactThreshold(material) * material.bounciness) {
+            return false;
+        }
+
+        // Nor one still falling onto it too fast to land: it bounces once it touches
+        if (!marble.onPath && pathInfo.distance > marble.radius && -separatingSpeed > this.getImpactThreshold(material)) {
+            return false;
+        }
+
         // Always attach if not moving fast perpendicular to path
         const normalSpeed = Math.abs(marble.velocity.dot(pathInfo.normal.normalize()));
         const tangentSpeed = Math.abs(marble.velocity.dot(pathInfo.tangent.normalize()));
 
         // If moving mostly along the path, or approaching it, attach
-        if (tangentSpeed > normalSpeed * 0.5 || pathInfo.distance < 0.1) {
+        if (tangentSpeed > normalSpeed * 0.5 || pathInfo.distance - marble.radius < 0.1) {
             return true;
         }
 
@@ -384,19 +1008,31 @@ class PhysicsEngine {
 
     /**
      * Check if marble should detach from path
+     * @param {Object} [effects] - Zone overrides (see getZoneEffects); gravity is scaled as in updateOnPath
+     * @returns {string|null} Why it detaches ('slope' or 'centripetal'), or null to stay on
      */
-    shouldDetachFromPath(marble, pathInfo) {
-        // Calculate slope angle
-        const slopeAngle = Math.atan2(Math.abs(pathInfo.tangent.y), Math.abs(pathInfo.tangent.x));
+    shouldDetachFromPath(marble, pathInfo, effects = this.getZoneEffects(marble, [])) {
+        const { stickiness } = this.getMaterial(pathInfo.equation);
+
+        // Calculate slope angle relative to the local "down"
+        const gravity = this.getGravity(marble.position).mul(effects.gravityScale);
+        const gravityStrength = gravity.magnitude();
+        const down = gravityStrength > 0 ? gravity.div(gravityStrength) : new Vector2D(0, -1);
+        const tangentUnit = pathInfo.tangent.normalize();
+        const slopeAngle = Math.atan2(
+            Math.abs(tangentUnit.dot(down)),
+            Math.abs(tangentUnit.dot(down.perpendicular()))
+        );
 
         // -------------------------------------------------------------------
         // Detach if slope is too steep and marble is moving too slow
-        // (Would fall off in reality)
+        // (Would fall off in reality; sticky surfaces hold on up to vertical)
         // -------------------------------------------------------------------
-        if (slopeAngle > this.maxSlopeAngle) {
+        const maxSlopeAngle = this.maxSlopeAngle + stickiness * (Math.PI / 2 - this.maxSlopeAngle);
+        if (slopeAngle > maxSlopeAngle) {
             const speed = marble.velocity.magnitude();
             if (speed < this.detachThreshold) {
-                return true;
+                return 'slope';
             }
         }
 
@@ -408,15 +1044,65 @@ class PhysicsEngine {
         if (curvature !== 0) {
             const speed = marble.velocity.magnitude();
             const centripetalRequired = speed * speed * Math.abs(curvature);
-            const normalForce = Math.abs(this.gravity * Math.cos(slopeAngle));
+            const normalForce = gravityStrength * Math.cos(slopeAngle);
+
+            // Stickiness adds adhesion on top of the normal force
+            const adhesion = stickiness * gravityStrength * 2;
 
             // If centrifugal force exceeds what normal force can provide
-            if (centripetalRequired > normalForce * 2) {
-                return true;
+            if (centripetalRequired > normalForce * 2 + adhesion) {
+                return 'centripetal';
             }
         }
 
-        return false;
+        return null;
+    }
+
+    /**
+     * Push the marble out of every curve closer than its radius.
+     * Each contact moves the marble back out along the curve normal and cancels
+     * the velocity into the curve; solid inequality regions push the marble out of
+     * their interior the same way. Because every curve is checked, a marble is
+     * blocked by gaps narrower than its diameter and can rest against two curves
+     * at once (e.g. in a V-shaped valley).
+     * @returns {Array} Path info for each curve in contact
+     */
+    resolveCurveContacts(marble, equations) {
+        const contacts = [];
+
+        // A couple of passes let neighbouring contacts settle against each other
+        for (let pass = 0; pass < 3; pass++) {
+            let resolved = false;
+
+            // Only curves within a radius can touch the marble
+            for (const { equation, seed } of this.getPathCandidates(marble, equations, marble.radius)) {
+                const info = this.analyzePathAtPoint(marble, equation, seed);
+                if (!info || info.distance >= marble.radius) continue;
+
+                // Side is decided by where the marble came from, so a marble whose
+                // centre crossed the curve this step is still pushed back, not through
+                const contactNormal = this.getContactNormal(marble, info, marble.previousPosition);
+                const side = marble.position.sub(Vector2D.fromObject(info.closestPoint)).dot(contactNormal);
+                const penetration = marble.radius - side;
+                if (penetration <= 1e-6) continue;
+
+                marble.position = marble.position.add(contactNormal.mul(penetration));
+
+                const normalSpeed = marble.velocity.dot(contactNormal);
+                if (normalSpeed < 0) {
+                    marble.velocity = marble.velocity.sub(contactNormal.mul(normalSpeed));
+                }
+
+                if (!contacts.some(contact => contact.equation === equation)) {
+                    contacts.push(info);
+                }
+                resolved = true;
+            }
+
+            if (!resolved) break;
+        }
+
+        return contacts;
     }
 
     // ========================================================================
@@ -425,41 +1111,108 @@ class PhysicsEngine {
 
     /**
      * Update marble physics while in free fall
+     * @param {Object} [effects] - Zone overrides (see getZoneEffects)
      */
-    updateInAir(marble, dt) {
+    updateInAir(marble, dt, effects = this.getZoneEffects(marble, [])) {
         // -------------------------------------------------------------------
-        // Apply gravity
+        // Apply the local gravity field (plus any zone push and custom forces)
         // -------------------------------------------------------------------
-        marble.velocity.y += this.gravity * dt;
+        const gravity = this.getGravity(marble.position).mul(effects.gravityScale);
+        const acceleration = gravity
+            .add(effects.push)
+            .add(this.getCustomAcceleration(marble, null, dt));
+        marble.velocity = marble.velocity.add(acceleration.mul(dt));
 
         // -------------------------------------------------------------------
         // Apply air drag (velocity-dependent resistance)
         // -------------------------------------------------------------------
         const speed = marble.velocity.magnitude();
         if (speed > 0) {
-            const dragMagnitude = this.airDrag * speed * speed;
+            const dragMagnitude = effects.airDrag * speed * speed;
             const dragForce = marble.velocity.normalize().mul(-dragMagnitude);
             marble.velocity = marble.velocity.add(dragForce.mul(dt));
         }
     }
 
+    /**
+     * Gravitational acceleration at a position (before any zone scaling)
+     * @returns {Vector2D}
+     */
+    getGravity(position) {
+        return this.gravityField.at(position);
+    }
+
+    // ========================================================================
+    // SURFACE MATERIALS
+    // ========================================================================
+
+    /**
+     * Surface material of an equation, falling back to the engine-wide values
+     * @returns {Object} {friction, bounciness, stickiness}
+     */
+    getMaterial(equation) {
+        return {
+            friction: this.rollingFriction,
+            bounciness: this.bounceCoefficient,
+            stickiness: 0,
+            ...(equation && equation.material)
+        };
+    }
+
+    /**
+     * Normal speed a marble must exceed to bounce off a surface
+     */
+    getImpactThreshold(material) {
+        return this.impactThreshold * (1 + 4 * material.stickiness);
+    }
+
+    // ========================================================================
+    // PHYSICS ZONES
+    // ========================================================================
+
+    /**
+     * Combine the overrides of every zone (inequality tagged with equation.zone)
+     * that contains the marble's centre. A zone's friction replaces the material's.
+     * @returns {Object} {airDrag, rollingFriction, gravityScale, push}
+     */
+    getZoneEffects(marble, equations) {
+        const effects = {
+            airDrag: this.airDrag,
+            rollingFriction: null, // null = use the surface material's friction
+            gravityScale: 1,
+            push: new Vector2D(0, 0)
+        };
+
+        for (const equation of equations) {
+            if (!equation.zone || !equation.evaluate(marble.position.x, marble.position.y)) continue;
+
+            const zone = equation.zone;
+            if (zone.airDrag !== undefined) effects.airDrag = zone.airDrag;
+            if (zone.rollingFriction !== undefined) effects.rollingFriction = zone.rollingFriction;
+            if (zone.gravityScale !== undefined) effects.gravityScale *= zone.gravityScale;
+            if (zone.push) effects.push = effects.push.add(Vector2D.fromObject(zone.push));
+        }
+
+        return effects;
+    }
+
     // ========================================================================
     // CURVE GEOMETRY CALCULATIONS
     // ========================================================================
 
     /**
      * Find the nearest path to the marble among all equations
+     * @param {number} [maxDistance] - Only look for paths about this close (uses the path index);
+     *   by default every equation is searched
      * @returns {Object|null} Path info with closest point, tangent, normal, distance
      */
-    findNearestPath(marble, equations) {
+    findNearestPath(marble, equations, maxDistance = Infinity) {
         let nearestInfo = null;
         let minDistance = Infinity;
 
-        for (const equation of equations) {
-            // Skip non-solid curve types (inequalities are regions, not paths)
-            if (equation.type === 'inequality') continue;
-
-            const info = this.analyzePathAtPoint(marble, equation);
+        for (const { equation, seed } of this.getPathCandidates(marble, equations, maxDistance)) {
+            // Inequality regions count too: the marble rolls along their boundary
+            const info = this.analyzePathAtPoint(marble, equation, seed);
             if (info && info.distance < minDistance) {
                 minDistance = info.distance;
                 nearestInfo = info;
@@ -469,31 +1222,75 @@ class PhysicsEngine {
         return nearestInfo;
     }
 
+    /**
+     * Equations that might pass within maxDistance of the marble, each with the
+     * nearest path index sample as a seed for the closest-point search.
+     * Without a finite maxDistance, or outside the indexed area, every
+     * equation is a candidate and gets a full search.
+     * @returns {Array} [{equation, seed}] in equation order
+     */
+    getPathCandidates(marble, equations, maxDistance) {
+        const index = isFinite(maxDistance) ? this.getPathIndex(equations) : null;
+        const nearby = index ? index.query(marble.position, maxDistance + index.cellSize) : null;
+
+        if (!nearby) {
+            return equations.map(equation => ({ equation, seed: null }));
+        }
+
+        return equations
+            .filter(equation => nearby.has(equation))
+            .map(equation => ({ equation, seed: nearby.get(equation) }));
+    }
+
+    /**
+     * Path index for an equation list, rebuilt only when the list changes
+     * @returns {PathIndex}
+     */
+    getPathIndex(equations) {
+        if (!this.pathIndex || !this.pathIndex.matches(equations)) {
+            this.pathIndex = new PathIndex(equations, { bounds: this.pathIndexBounds });
+        }
+        return this.pathIndex;
+    }
+
+    /**
+     * Drop the path index so it is rebuilt on the next query
+     * (needed if an equation object is changed in place)
+     */
+    invalidatePathIndex() {
+        this.pathIndex = null;
+    }
+
     /**
      * Analyze a path at the marble's position
      * Returns closest point, tangent, normal, curvature
+     * @param {Object} [seed] - Nearest path index sample, to narrow the search
      */
-    analyzePathAtPoint(marble, equation) {
+    analyzePathAtPoint(marble, equation, seed = null) {
         const marblePos = marble.position;
 
         switch (equation.type) {
             case 'explicit_y':
             case 'piecewise':
             case 'constant_y':
-                return this.analyzeExplicitY(marblePos, equation);
+                return this.analyzeExplicitY(marblePos, equation, seed);
 
             case 'explicit_x':
             case 'constant_x':
-                return this.analyzeExplicitX(marblePos, equation);
+                return this.analyzeExplicitX(marblePos, equation, seed);
 
             case 'implicit':
-                return this.analyzeImplicit(marblePos, equation);
+                return this.analyzeImplicit(marblePos, equation, seed);
 
             case 'polar':
-                return this.analyzePolar(marblePos, equation);
+                return this.analyzePolar(marblePos, equation, seed);
 
             case 'parametric':
-                return this.analyzeParametric(marblePos, equation);
+                return this.analyzeParametric(marblePos, equation, seed);
+
+            case 'inequality':
+                // Zones change physics inside them but are not solid
+                return equation.zone ? null : this.analyzeInequality(marblePos, equation, seed);
 
             default:
                 return null;
@@ -503,9 +1300,12 @@ class PhysicsEngine {
     /**
      * Analyze y = f(x) curve
      */
-    analyzeExplicitY(pos, equation) {
-        // Find closest x using golden section search
-        const closestX = this.findClosestXOnCurve(pos, equation, pos.x - 3, pos.x + 3);
+    analyzeExplicitY(pos, equation, seed = null) {
+        // Find closest x using golden section search, between the neighbouring
+        // path index samples or within 3 units of the marble
+        const closestX = seed
+            ? this.findClosestXOnCurve(pos, equation, seed.min, seed.max)
+            : this.findClosestXOnCurve(pos, equation, pos.x - 3, pos.x + 3);
 
         if (closestX === null) return null;
 
@@ -545,9 +1345,11 @@ class PhysicsEngine {
     /**
      * Analyze x = f(y) curve
      */
-    analyzeExplicitX(pos, equation) {
-        // Find closest y
-        const closestY = this.findClosestYOnCurve(pos, equation, pos.y - 3, pos.y + 3);
+    analyzeExplicitX(pos, equation, seed = null) {
+        // Find closest y (between the neighbouring path index samples or within 3 units)
+        const closestY = seed
+            ? this.findClosestYOnCurve(pos, equation, seed.min, seed.max)
+            : this.findClosestYOnCurve(pos, equation, pos.y - 3, pos.y + 3);
 
         if (closestY === null) return null;
 
@@ -585,9 +1387,10 @@ class PhysicsEngine {
     /**
      * Analyze implicit curve f(x,y) = 0
      */
-    analyzeImplicit(pos, equation) {
-        // Use gradient descent to find closest point
-        const closestPoint = this.findClosestPointImplicit(pos, equation);
+    analyzeImplicit(pos, equation, seed = null) {
+        // Use gradient descent to find closest point, from the nearest path index
+        // sample if there is one
+        const closestPoint = this.findClosestPointImplicit(pos, equation, seed);
 
         if (!closestPoint) return null;
 
@@ -614,35 +1417,56 @@ class PhysicsEngine {
     }
 
     /**
-     * Analyze polar curve r = f(θ)
+     * Analyze the boundary of a solid inequality region
+     * The normal always points out of the region, whichever side the marble is on
      */
-    analyzePolar(pos, equation) {
-        // Convert marble position to polar
-        const marbleTheta = Math.atan2(pos.y, pos.x);
-        const marbleR = pos.magnitude();
+    analyzeInequality(pos, equation, seed = null) {
+        // The boundary is the implicit curve boundary(x, y) = 0
+        const boundary = {
+            evaluate: (x, y) => equation.boundary(x, y),
+            partials: (x, y) => equation.partials(x, y)
+        };
 
-        // Find closest theta
-        let closestTheta = marbleTheta;
-        let minDistance = Infinity;
+        const closestPoint = this.findClosestPointImplicit(pos, boundary, seed);
+        if (!closestPoint) return null;
 
-        // Search around marble's theta
-        for (let theta = marbleTheta - Math.PI; theta <= marbleTheta + Math.PI; theta += 0.05) {
-            try {
-                const r = equation.evaluate(theta);
-                if (!isFinite(r)) continue;
+        const gradient = this.calculateGradient(boundary, closestPoint.x, closestPoint.y);
 
-                const x = r * Math.cos(theta);
-                const y = r * Math.sin(theta);
-                const dist = pos.distanceTo(new Vector2D(x, y));
+        // boundary() grows along the gradient; the region is where insideSign * boundary() > 0,
+        // so "out" is against the gradient when insideSign is positive
+        const normal = gradient.normalize().mul(-equation.insideSign);
+        const tangent = normal.perpendicular();
+        const inside = equation.evaluate(pos.x, pos.y);
 
-                if (dist < minDistance) {
-                    minDistance = dist;
-                    closestTheta = theta;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
+        return {
+            equation,
+            closestPoint,
+            // Inside the region the marble is always "touching" it
+            distance: inside ? 0 : pos.distanceTo(Vector2D.fromObject(closestPoint)),
+            tangent,
+            normal,
+            curvature: this.calculateImplicitCurvature(boundary, closestPoint.x, closestPoint.y),
+            solid: true,
+            inside
+        };
+    }
+
+    /**
+     * Analyze polar curve r = f(θ)
+     */
+    analyzePolar(pos, equation, seed = null) {
+        const pointAt = (theta) => {
+            const r = equation.evaluate(theta);
+            return new Vector2D(r * Math.cos(theta), r * Math.sin(theta));
+        };
+
+        // Bracket the closest θ (between the neighbouring path index samples, or by
+        // scanning the θ domain the curve is drawn over), then refine inside it
+        const bracket = seed ?? this.scanClosestParameter(pos, pointAt, equation.domain.min, equation.domain.max);
+        if (!bracket) return null;
+
+        const closestTheta = this.refineClosestParameter(pos, pointAt, bracket.min, bracket.max);
+        const minDistance = pos.distanceTo(pointAt(closestTheta));
 
         try {
             const r = equation.evaluate(closestTheta);
@@ -652,7 +1476,8 @@ class PhysicsEngine {
             };
 
             // Tangent for polar: dr/dθ determines direction
-            const drdt = (equation.evaluate(closestTheta + 0.01) - equation.evaluate(closestTheta - 0.01)) / 0.02;
+            const drdt = this.calculateDerivative(equation, closestTheta);
+            const d2rdt2 = this.calculateSecondDerivative(equation, closestTheta);
 
             // Tangent in Cartesian: (dx/dθ, dy/dθ)
             // dx/dθ = dr/dθ * cos(θ) - r * sin(θ)
@@ -663,13 +1488,17 @@ class PhysicsEngine {
             const tangent = new Vector2D(dxdt, dydt).normalize();
             const normal = tangent.perpendicular();
 
+            // Curvature: κ = |r² + 2r'² - r*r''| / (r² + r'²)^(3/2)
+            const den = Math.pow(r * r + drdt * drdt, 1.5);
+            const curvature = den === 0 ? 0 : Math.abs(r * r + 2 * drdt * drdt - r * d2rdt2) / den;
+
             return {
                 equation,
                 closestPoint,
                 distance: minDistance,
                 tangent,
                 normal,
-                curvature: 0 // Simplified
+                curvature
             };
         } catch (e) {
             return null;
@@ -679,46 +1508,53 @@ class PhysicsEngine {
     /**
      * Analyze parametric curve x=f(t), y=g(t)
      */
-    analyzeParametric(pos, equation) {
-        // Find closest t parameter
-        let closestT = 0;
-        let minDistance = Infinity;
+    analyzeParametric(pos, equation, seed = null) {
+        const pointAt = (t) => new Vector2D(equation.evaluateX(t), equation.evaluateY(t));
 
-        for (let t = 0; t <= 2 * Math.PI; t += 0.05) {
-            try {
-                const x = equation.evaluateX(t);
-                const y = equation.evaluateY(t);
-                if (!isFinite(x) || !isFinite(y)) continue;
-
-                const dist = pos.distanceTo(new Vector2D(x, y));
-                if (dist < minDistance) {
-                    minDistance = dist;
-                    closestT = t;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
+        // Bracket the closest t (between the neighbouring path index samples, or by
+        // scanning the t domain the curve is drawn over), then refine inside it
+        const bracket = seed ?? this.scanClosestParameter(pos, pointAt, equation.domain.min, equation.domain.max);
+        if (!bracket) return null;
+
+        const closestT = this.refineClosestParameter(pos, pointAt, bracket.min, bracket.max);
+        const minDistance = pos.distanceTo(pointAt(closestT));
 
         try {
             const x = equation.evaluateX(closestT);
             const y = equation.evaluateY(closestT);
 
+            // x(t) and y(t) as single-variable functions for the derivative helpers
+            const xOfT = {
+                evaluate: (t) => equation.evaluateX(t),
+                derivative: (t) => equation.derivativeX(t),
+                secondDerivative: (t) => equation.secondDerivativeX(t)
+            };
+            const yOfT = {
+                evaluate: (t) => equation.evaluateY(t),
+                derivative: (t) => equation.derivativeY(t),
+                secondDerivative: (t) => equation.secondDerivativeY(t)
+            };
+
             // Calculate tangent: (dx/dt, dy/dt)
-            const dt = 0.01;
-            const dxdt = (equation.evaluateX(closestT + dt) - equation.evaluateX(closestT - dt)) / (2 * dt);
-            const dydt = (equation.evaluateY(closestT + dt) - equation.evaluateY(closestT - dt)) / (2 * dt);
+            const dxdt = this.calculateDerivative(xOfT, closestT);
+            const dydt = this.calculateDerivative(yOfT, closestT);
 
             const tangent = new Vector2D(dxdt, dydt).normalize();
             const normal = tangent.perpendicular();
 
+            // Curvature: κ = |x'y'' - y'x''| / (x'² + y'²)^(3/2)
+            const d2xdt2 = this.calculateSecondDerivative(xOfT, closestT);
+            const d2ydt2 = this.calculateSecondDerivative(yOfT, closestT);
+            const den = Math.pow(dxdt * dxdt + dydt * dydt, 1.5);
+            const curvature = den === 0 ? 0 : Math.abs(dxdt * d2ydt2 - dydt * d2xdt2) / den;
+
             return {
                 equation,
                 closestPoint: { x, y },
                 distance: minDistance,
                 tangent,
                 normal,
-                curvature: 0
+                curvature
             };
         } catch (e) {
             return null;
@@ -803,22 +1639,88 @@ class PhysicsEngine {
         return (a + b) / 2;
     }
 
+    /**
+     * Coarsely scan a curve's parameter range for the sample closest to pos
+     * @returns {Object|null} {min, max} bracketing that sample between its neighbours,
+     *   or null if the curve has no finite points in the range
+     */
+    scanClosestParameter(pos, pointAt, min, max) {
+        const step = Math.max(0.05, (max - min) / 1000);
+        const count = Math.ceil((max - min) / step);
+        let closest = null;
+        let minDistance = Infinity;
+
+        for (let i = 0; i <= count; i++) {
+            const parameter = Math.min(min + i * step, max);
+            const point = pointAt(parameter);
+            if (!isFinite(point.x) || !isFinite(point.y)) continue;
+
+            const dist = pos.distanceTo(point);
+            if (dist < minDistance) {
+                minDistance = dist;
+                closest = parameter;
+            }
+        }
+
+        if (closest === null) return null;
+        return { min: Math.max(min, closest - step), max: Math.min(max, closest + step) };
+    }
+
+    /**
+     * Find the parameter in [min, max] whose curve point is closest to pos
+     * (golden section search; pointAt maps a parameter such as θ or t to a point)
+     */
+    refineClosestParameter(pos, pointAt, min, max) {
+        const phi = (1 + Math.sqrt(5)) / 2;
+        const tolerance = 0.0001;
+
+        let a = min;
+        let b = max;
+        let c = b - (b - a) / phi;
+        let d = a + (b - a) / phi;
+
+        const distanceAt = (parameter) => {
+            const point = pointAt(parameter);
+            if (!isFinite(point.x) || !isFinite(point.y)) return Infinity;
+            return pos.distanceTo(point);
+        };
+
+        let iterations = 0;
+        while (Math.abs(b - a) > tolerance && iterations < 50) {
+            if (distanceAt(c) < distanceAt(d)) {
+                b = d;
+            } else {
+                a = c;
+            }
+            c = b - (b - a) / phi;
+            d = a + (b - a) / phi;
+            iterations++;
+        }
+
+        return (a + b) / 2;
+    }
+
     /**
      * Find closest point on implicit curve using gradient descent
+     * @param {Object} [seed] - Nearest path index sample. The search then starts
+     *   there, already on the curve, slides along the curve until level with the
+     *   marble and stays inside the sample's grid square (seed.min to seed.max)
      */
-    findClosestPointImplicit(pos, equation) {
-        let x = pos.x;
-        let y = pos.y;
+    findClosestPointImplicit(pos, equation, seed = null) {
+        let x = seed ? seed.x : pos.x;
+        let y = seed ? seed.y : pos.y;
 
-        const stepSize = 0.1;
+        // Full Newton steps are safe from a point on the curve, not from the marble
+        const stepSize = seed ? 1 : 0.1;
         const iterations = 20;
 
         for (let i = 0; i < iterations; i++) {
             try {
                 const f = equation.evaluate(x, y);
+                const onCurve = Math.abs(f) < 0.01;
 
                 // If we're on the curve, we're done
-                if (Math.abs(f) < 0.01) {
+                if (onCurve && !seed) {
                     return { x, y };
                 }
 
@@ -828,10 +1730,22 @@ class PhysicsEngine {
 
                 if (gradMag < 0.001) break;
 
-                // Move along gradient toward curve (f = 0)
+                // How far along the curve the marble is from here
+                const tangent = grad.perpendicular().div(gradMag);
+                const slide = seed ? tangent.dot(new Vector2D(pos.x - x, pos.y - y)) : 0;
+                if (onCurve && Math.abs(slide) < 0.001) {
+                    return { x, y };
+                }
+
+                // Move along gradient toward curve (f = 0), and along the curve toward the marble
                 const step = f / (gradMag * gradMag);
-                x -= grad.x * step * stepSize;
-                y -= grad.y * step * stepSize;
+                x += tangent.x * slide - grad.x * step * stepSize;
+                y += tangent.y * slide - grad.y * step * stepSize;
+
+                if (seed) {
+                    x = Math.max(seed.min.x, Math.min(seed.max.x, x));
+                    y = Math.max(seed.min.y, Math.min(seed.max.y, y));
+                }
             } catch (e) {
                 break;
             }
@@ -842,8 +1756,12 @@ class PhysicsEngine {
 
     /**
      * Calculate first derivative dy/dx for y=f(x)
+     * Uses the equation's symbolic derivative, or finite differences if it has none
      */
     calculateDerivative(equation, x, h = null) {
+        const symbolic = equation.derivative ? equation.derivative(x) : NaN;
+        if (Number.isFinite(symbolic)) return symbolic;
+
         const step = h || this.derivativeStep;
         try {
             const y1 = equation.evaluate(x - step);
@@ -858,8 +1776,12 @@ class PhysicsEngine {
 
     /**
      * Calculate second derivative d²y/dx² for y=f(x)
+     * Uses the equation's symbolic derivative, or finite differences if it has none
      */
     calculateSecondDerivative(equation, x, h = null) {
+        const symbolic = equation.secondDerivative ? equation.secondDerivative(x) : NaN;
+        if (Number.isFinite(symbolic)) return symbolic;
+
         const step = h || this.derivativeStep;
         try {
             const y0 = equation.evaluate(x - step);
@@ -875,8 +1797,12 @@ class PhysicsEngine {
 
     /**
      * Calculate first derivative dx/dy for x=f(y)
+     * Uses the equation's symbolic derivative, or finite differences if it has none
      */
     calculateDerivativeX(equation, y, h = null) {
+        const symbolic = equation.derivative ? equation.derivative(y) : NaN;
+        if (Number.isFinite(symbolic)) return symbolic;
+
         const step = h || this.derivativeStep;
         try {
             const x1 = equation.evaluate(y - step);
@@ -891,8 +1817,12 @@ class PhysicsEngine {
 
     /**
      * Calculate second derivative d²x/dy² for x=f(y)
+     * Uses the equation's symbolic derivative, or finite differences if it has none
      */
     calculateSecondDerivativeX(equation, y, h = null) {
+        const symbolic = equation.secondDerivative ? equation.secondDerivative(y) : NaN;
+        if (Number.isFinite(symbolic)) return symbolic;
+
         const step = h || this.derivativeStep;
         try {
             const x0 = equation.evaluate(y - step);
@@ -908,8 +1838,12 @@ class PhysicsEngine {
 
     /**
      * Calculate gradient of implicit function ∇f = (∂f/∂x, ∂f/∂y)
+     * Uses the equation's symbolic partials, or finite differences if it has none
      */
     calculateGradient(equation, x, y, h = null) {
+        const partials = this.getSymbolicPartials(equation, x, y);
+        if (partials) return new Vector2D(partials.fx, partials.fy);
+
         const step = h || this.derivativeStep;
         try {
             const dfdx = (equation.evaluate(x + step, y) - equation.evaluate(x - step, y)) / (2 * step);
@@ -922,6 +1856,16 @@ class PhysicsEngine {
         }
     }
 
+    /**
+     * Symbolic partials of an implicit function at (x, y)
+     * @returns {Object|null} {fx, fy, fxx, fyy, fxy}, or null if unavailable or not finite there
+     */
+    getSymbolicPartials(equation, x, y) {
+        const partials = equation.partials ? equation.partials(x, y) : null;
+        if (!partials || !Object.values(partials).every(Number.isFinite)) return null;
+        return partials;
+    }
+
     /**
      * Calculate curvature for implicit curve
      */
@@ -930,13 +1874,14 @@ class PhysicsEngine {
         const h = this.derivativeStep;
 
         try {
-            const fx = (equation.evaluate(x + h, y) - equation.evaluate(x - h, y)) / (2 * h);
-            const fy = (equation.evaluate(x, y + h) - equation.evaluate(x, y - h)) / (2 * h);
-
-            const fxx = (equation.evaluate(x + h, y) - 2 * equation.evaluate(x, y) + equation.evaluate(x - h, y)) / (h * h);
-            const fyy = (equation.evaluate(x, y + h) - 2 * equation.evaluate(x, y) + equation.evaluate(x, y - h)) / (h * h);
-            const fxy = (equation.evaluate(x + h, y + h) - equation.evaluate(x + h, y - h) -
-                equation.evaluate(x - h, y + h) + equation.evaluate(x - h, y - h)) / (4 * h * h);
+            const { fx, fy, fxx, fyy, fxy } = this.getSymbolicPartials(equation, x, y) ?? {
+                fx: (equation.evaluate(x + h, y) - equation.evaluate(x - h, y)) / (2 * h),
+                fy: (equation.evaluate(x, y + h) - equation.evaluate(x, y - h)) / (2 * h),
+                fxx: (equation.evaluate(x + h, y) - 2 * equation.evaluate(x, y) + equation.evaluate(x - h, y)) / (h * h),
+                fyy: (equation.evaluate(x, y + h) - 2 * equation.evaluate(x, y) + equation.evaluate(x, y - h)) / (h * h),
+                fxy: (equation.evaluate(x + h, y + h) - equation.evaluate(x + h, y - h) -
+                    equation.evaluate(x - h, y + h) + equation.evaluate(x - h, y - h)) / (4 * h * h)
+            };
 
             const num = Math.abs(fx * fx * fyy - 2 * fx * fy * fxy + fy * fy * fxx);
             const den = Math.pow(fx * fx + fy * fy, 1.5);
@@ -953,15 +1898,93 @@ class PhysicsEngine {
     // ========================================================================
 
     /**
-     * Check circle-circle collision between marble and star
+     * Check circle-circle collision between marble and star, sweeping the
+     * marble from fromPosition (its previous position by default)
      */
-    checkCollision(marble, star) {
-        const dx = marble.position.x - star.x;
-        const dy = marble.position.y - star.y;
-        const distanceSq = dx * dx + dy * dy;
-        const radiusSum = marble.radius + star.radius;
+    checkCollision(marble, star, fromPosition = marble.previousPosition ?? marble.position) {
+        return this.getSweptContactTime(fromPosition, marble.position, marble.radius, star) !== null;
+    }
 
-        return distanceSq < radiusSum * radiusSum;
+    /**
+     * First time a circle moving in a straight line from `from` to `to`
+     * touches a star
+     * @returns {number|null} Fraction of the move (0-1) at first contact, or null if it never touches
+     */
+    getSweptContactTime(from, to, radius, star) {
+        const radiusSum = radius + star.radius;
+        const offsetX = from.x - star.x;
+        const offsetY = from.y - star.y;
+        const c = offsetX * offsetX + offsetY * offsetY - radiusSum * radiusSum;
+
+        // Already touching at the start of the move
+        if (c < 0) return 0;
+
+        // Solve |from + t * move - star|^2 = radiusSum^2 for the smallest t
+        const moveX = to.x - from.x;
+        const moveY = to.y - from.y;
+        const a = moveX * moveX + moveY * moveY;
+        if (a === 0) return null;
+
+        const b = 2 * (offsetX * moveX + offsetY * moveY);
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= 1 ? t : null;
+    }
+
+    /**
+     * Resolve circle-circle collisions between every pair of active marbles.
+     * Overlap is separated along the line of centres and momentum is exchanged
+     * along it, scaled by bounceCoefficient. Marbles on a path keep only the
+     * tangential part on their next update, so this also covers shared paths.
+     * @param {Array<Marble>} marbles - Marbles to collide
+     * @returns {Array} Colliding pairs as {a, b}
+     */
+    resolveMarbleCollisions(marbles) {
+        const collisions = [];
+
+        for (let i = 0; i < marbles.length; i++) {
+            const a = marbles[i];
+            if (!a.active) continue;
+
+            for (let j = i + 1; j < marbles.length; j++) {
+                const b = marbles[j];
+                if (!b.active) continue;
+
+                const delta = b.position.sub(a.position);
+                const distance = delta.magnitude();
+                const minDistance = a.radius + b.radius;
+                if (distance >= minDistance) continue;
+
+                // Line of centres (arbitrary but stable if exactly coincident)
+                const normal = distance > 1e-9 ? delta.div(distance) : new Vector2D(1, 0);
+                const inverseMassA = 1 / a.mass;
+                const inverseMassB = 1 / b.mass;
+                const inverseMassSum = inverseMassA + inverseMassB;
+
+                // -------------------------------------------------------------------
+                // Push the marbles apart so they no longer overlap
+                // -------------------------------------------------------------------
+                const overlap = minDistance - distance;
+                a.position = a.position.sub(normal.mul(overlap * inverseMassA / inverseMassSum));
+                b.position = b.position.add(normal.mul(overlap * inverseMassB / inverseMassSum));
+
+                // -------------------------------------------------------------------
+                // Exchange momentum if they are moving toward each other
+                // -------------------------------------------------------------------
+                const approachSpeed = b.velocity.sub(a.velocity).dot(normal);
+                if (approachSpeed < 0) {
+                    const impulse = -(1 + this.bounceCoefficient) * approachSpeed / inverseMassSum;
+                    a.velocity = a.velocity.sub(normal.mul(impulse * inverseMassA));
+                    b.velocity = b.velocity.add(normal.mul(impulse * inverseMassB));
+                }
+
+                collisions.push({ a, b });
+            }
+        }
+
+        return collisions;
     }
 
     /**
@@ -998,6 +2021,66 @@ class PhysicsEngine {
     }
 }
 
+// ============================================================================
+// FIXED-TIMESTEP CLOCK
+// ============================================================================
+
+/**
+ * Accumulates real elapsed time and releases it in fixed-size physics steps,
+ * so the same equations produce the same trajectory at any frame rate
+ */
+class FixedTimestep {
+    constructor(config = {}) {
+        /** Physics step size (seconds) */
+        this.step = config.step ?? 1 / 60;
+
+        /** Maximum steps taken per advance() call */
+        this.maxSubSteps = config.maxSubSteps ?? 8;
+
+        /** Real time not yet consumed by a physics step */
+        this.accumulator = 0;
+    }
+
+    /**
+     * Consume elapsed real time in fixed steps
+     * @param {number} elapsed - Real time since the last call (seconds)
+     * @param {Function} stepFn - Called with the step size; return false to stop early
+     * @returns {number} Number of steps taken
+     */
+    advance(elapsed, stepFn) {
+        // Clamp so a long stall (background tab, breakpoint) can't queue up hundreds of steps
+        const clamped = Math.min(Math.max(elapsed, 0), this.step * this.maxSubSteps);
+        this.accumulator += clamped;
+
+        let steps = 0;
+        while (this.accumulator >= this.step) {
+            this.accumulator -= this.step;
+            steps++;
+
+            if (stepFn(this.step) === false) {
+                this.accumulator = 0;
+                break;
+            }
+        }
+
+        return steps;
+    }
+
+    /**
+     * Fraction of a step left over, used to interpolate rendering (0-1)
+     */
+    getAlpha() {
+        return Math.min(1, this.accumulator / this.step);
+    }
+
+    /**
+     * Drop any leftover time (call when a run starts)
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
 // ============================================================================
 // MARBLE CLASS
 // ============================================================================
@@ -1010,12 +2093,18 @@ class Marble {
         /** Position vector */
         this.position = new Vector2D(x, y);
 
+        /** Position before the last physics step (for render interpolation) */
+        this.previousPosition = this.position.clone();
+
         /** Velocity vector */
         this.velocity = new Vector2D(config.vx ?? 0.1, config.vy ?? 0);
 
         /** Marble radius in world units */
         this.radius = config.radius ?? 0.2;
 
+        /** Mass (relative; only matters in marble-to-marble collisions) */
+        this.mass = config.mass ?? 1;
+
         /** Display color */
         this.color = config.color ?? '#4A90D9';
 
@@ -1054,6 +2143,7 @@ class Marble {
      */
     reset(x, y) {
         this.position = new Vector2D(x, y);
+        this.previousPosition = this.position.clone();
         this.velocity = new Vector2D(0.1, 0);
         this.onPath = false;
         this.currentEquation = null;
@@ -1061,6 +2151,14 @@ class Marble {
         this.active = true;
     }
 
+    /**
+     * Get the position to draw, interpolated between the last two physics steps
+     * @param {number} alpha - Fraction of a step elapsed since the last update (0-1)
+     */
+    getRenderPosition(alpha = 1) {
+        return this.previousPosition.lerp(this.position, alpha);
+    }
+
     /**
      * Get current speed
      */
@@ -1089,7 +2187,7 @@ class Marble {
     update(physics, equations) {
         // This method is called by the old game.js
         // Convert to new physics system
-        const result = physics.update(this, 1, equations, this.stars || []);
+        const result = physics.update(this, physics.fixedTimeStep, equations, this.stars || []);
 
         // Handle old update mechanism
         this.trail.push({ x: this.position.x, y: this.position.y });
@@ -1103,9 +2201,15 @@ class Marble {
 // EXPORT FOR USE
 // ============================================================================
 
-// Make classes available globally for browser usage
+// Make classes available globally (window in the browser, globalThis in Node)
 if (typeof window !== 'undefined') {
     window.Vector2D = Vector2D;
+    window.GravityField = GravityField;
+    window.Forces = Forces;
+    window.PathIndex = PathIndex;
     window.PhysicsEngine = PhysicsEngine;
+    window.FixedTimestep = FixedTimestep;
     window.Marble = Marble;
+} else {
+    Object.assign(globalThis, { Vector2D, GravityField, Forces, PathIndex, PhysicsEngine, FixedTimestep, Marble });
 }
\ No newline at end of file
@@ -0,0 +1,493 @@
+/**
+ * ============================================================================
+ * HEADLESS SIMULATION RUNNER
+ * ============================================================================
+ *
+ * Runs a level without p5 or the DOM, on top of PhysicsEngine, Marble and
+ * EquationParser. Game drives one of these per launch; it can also be used
+ * from Node to regression-test levels and physics changes (test/levels.test.mjs,
+ * run with `npm test`).
+ *
+ * Node usage (math.js must be a global, exactly as in the browser):
+ *
+ *   import * as math from 'mathjs';
+ *   globalThis.math = math;
+ *   await import('./physics.js');
+ *   await import('./expression.js');
+ *   await import('./equations.js');
+ *   await import('./simulation.js');
+ *
+ *   const outcome = Simulation.run({
+ *       equations: ['y = -0.5x + 4'],
+ *       start: { x: -8, y: 8 },
+ *       stars: [{ x: 0, y: 4, radius: 0.3 }]
+ *   });
+ *   // => { endReason, frames, time, checksum, starsCollected, totalStars, collectedStars, trajectory }
+ *
+ * A level object doubles as a run recording: add `seed` and the run's
+ * `outcome` and a Replay can rebuild the same run frame by frame
+ * (see Replay below).
+ *
+ * End reasons:
+ * - 'all_stars'      every star was collected
+ * - 'out_of_bounds'  every marble left the bounds
+ * - 'at_rest'        every remaining marble has stopped moving
+ * - 'oscillating'    every remaining marble is rocking in place (e.g. the bottom of y = x^2)
+ * - 'stalled'        no star collected and no new ground covered for stallTime
+ * - 'timeout'        the run lasted longer than maxDuration
+ * - 'max_frames'     the frame limit was reached first
+ *
+ * ============================================================================
+ */
+
+class Simulation {
+    /**
+     * @param {Object} options
+     * @param {PhysicsEngine} [options.physics] - Engine to step with (built from options.physicsConfig if omitted)
+     * @param {Object} [options.physicsConfig] - PhysicsEngine config when no engine is given
+     * @param {Array} [options.equations] - Parsed equation objects
+     * @param {Array<Marble>} [options.marbles] - Marbles to simulate
+     * @param {Array} [options.stars] - Star objects ({x, y, radius, collected})
+     * @param {Object} [options.bounds] - {minX, maxX, minY, maxY}; marbles outside stop simulating
+     * @param {number} [options.maxFrames] - Hard limit on physics steps
+     * @param {number} [options.maxDuration] - Longest run in simulated seconds
+     * @param {boolean} [options.recordTrajectory] - Keep every marble position per frame
+     * @param {Object} [options.detection] - Rest/oscillation/stall tuning (see below)
+     */
+    constructor(options = {}) {
+        this.physics = options.physics ?? new PhysicsEngine(options.physicsConfig);
+        this.equations = options.equations ?? [];
+        this.marbles = options.marbles ?? [];
+        this.stars = options.stars ?? [];
+        this.bounds = options.bounds ?? { minX: -12, maxX: 12, minY: -15, maxY: 12 };
+        this.maxFrames = options.maxFrames ?? 3600;
+        this.maxDuration = options.maxDuration ?? 60;
+        this.recordTrajectory = options.recordTrajectory ?? false;
+
+        // Rest, oscillation and stall detection
+        const detection = options.detection ?? {};
+        this.restSpeed = detection.restSpeed ?? 0.05;               // Slower than this counts as resting
+        this.restTime = detection.restTime ?? 1;                    // Seconds at rest before the run ends
+        this.oscillationTime = detection.oscillationTime ?? 3;      // Seconds rocking without progress
+        this.oscillationReversals = detection.oscillationReversals ?? 4; // Direction changes that count as rocking
+        this.stallTime = detection.stallTime ?? 8;                  // Seconds without progress before the run ends
+        this.progressMargin = detection.progressMargin ?? 0.5;      // New ground needed to count as progress
+
+        this.frame = 0;
+        this.time = 0;
+        this.checksum = 0; // Running hash of every marble position, to compare runs
+        this.lastProgressTime = 0;
+        this.motion = this.marbles.map(marble => this.createMotionState(marble));
+        this.endReason = null;
+        this.collectedStars = [];
+        this.trajectory = this.marbles.map(marble =>
+            this.recordTrajectory ? [marble.position.toObject()] : []
+        );
+    }
+
+    /**
+     * Advance every active marble by one physics step
+     * @param {number} dt - Step size (seconds)
+     * @returns {Object} Step events: starsCollected, collisions, detachments
+     *   ({marble, reason, position} for each marble that left a curve), ended, endReason
+     */
+    step(dt = this.physics.fixedTimeStep) {
+        const events = {
+            starsCollected: [],
+            collisions: [],
+            detachments: [],
+            ended: false,
+            endReason: null
+        };
+
+        if (this.endReason) {
+            events.ended = true;
+            events.endReason = this.endReason;
+            return events;
+        }
+
+        this.frame++;
+        this.time += dt;
+
+        this.marbles.forEach((marble, index) => {
+            if (!marble.active) return;
+
+            const result = this.physics.update(marble, dt, this.equations, this.stars);
+            events.starsCollected.push(...result.starsCollected);
+
+            if (result.detached) {
+                events.detachments.push({
+                    marble,
+                    reason: result.detachReason,
+                    position: marble.position.toObject()
+                });
+            }
+
+            if (this.recordTrajectory) {
+                this.trajectory[index].push(marble.position.toObject());
+            }
+
+            // Marbles that leave the world are finished
+            if (!this.physics.checkBounds(marble, this.bounds)) {
+                marble.active = false;
+            }
+        });
+
+        // Marbles knock each other once everyone has moved
+        events.collisions = this.physics.resolveMarbleCollisions(this.marbles);
+
+        this.collectedStars.push(...events.starsCollected);
+        if (events.starsCollected.length > 0) {
+            this.markProgress();
+        }
+
+        this.marbles.forEach((marble, index) => {
+            if (marble.active) this.trackMotion(marble, this.motion[index], dt);
+            this.checksum = Simulation.mixChecksum(this.checksum, marble.position);
+        });
+
+        this.endReason = this.checkEnd();
+
+        events.ended = this.endReason !== null;
+        events.endReason = this.endReason;
+        return events;
+    }
+
+    /**
+     * Decide whether the run is over
+     * @returns {string|null} End reason, or null while the run goes on
+     */
+    checkEnd() {
+        if (this.stars.length > 0 && this.collectedStars.length === this.stars.length) {
+            return 'all_stars';
+        }
+
+        const active = this.motion.filter((state, index) => this.marbles[index].active);
+        if (active.length === 0) {
+            return 'out_of_bounds';
+        }
+
+        if (active.every(state => state.restTime >= this.restTime)) {
+            return 'at_rest';
+        }
+
+        // No star and no new ground: either rocking back and forth or creeping nowhere
+        const sinceProgress = this.time - this.lastProgressTime;
+        if (sinceProgress >= this.oscillationTime &&
+            active.every(state => state.reversals >= this.oscillationReversals)) {
+            return 'oscillating';
+        }
+        if (sinceProgress >= this.stallTime) {
+            return 'stalled';
+        }
+        if (this.time >= this.maxDuration) {
+            return 'timeout';
+        }
+        if (this.frame >= this.maxFrames) {
+            return 'max_frames';
+        }
+        return null;
+    }
+
+    /**
+     * Per-marble bookkeeping for rest and stall detection
+     */
+    createMotionState(marble) {
+        const { x, y } = marble.position;
+        return {
+            restTime: 0,                          // Seconds continuously slower than restSpeed
+            reversals: 0,                         // Direction changes since the last progress
+            lastVelocity: marble.velocity.clone(),
+            explored: { minX: x, maxX: x, minY: y, maxY: y }
+        };
+    }
+
+    /**
+     * Update a marble's motion state after a step
+     */
+    trackMotion(marble, state, dt) {
+        const { x, y } = marble.position;
+
+        state.restTime = marble.velocity.magnitude() < this.restSpeed ? state.restTime + dt : 0;
+
+        if (marble.velocity.dot(state.lastVelocity) < 0) {
+            state.reversals++;
+        }
+        state.lastVelocity = marble.velocity.clone();
+
+        // Covering new ground counts as progress
+        const box = state.explored;
+        const margin = this.progressMargin;
+        if (x < box.minX - margin || x > box.maxX + margin || y < box.minY - margin || y > box.maxY + margin) {
+            box.minX = Math.min(box.minX, x);
+            box.maxX = Math.max(box.maxX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxY = Math.max(box.maxY, y);
+            this.markProgress();
+        }
+    }
+
+    /**
+     * Something new happened: restart the oscillation and stall clocks
+     */
+    markProgress() {
+        this.lastProgressTime = this.time;
+        this.motion.forEach(state => {
+            state.reversals = 0;
+        });
+    }
+
+    /**
+     * Step until the run ends
+     * @returns {Object} Run outcome (see getOutcome)
+     */
+    run(dt = this.physics.fixedTimeStep) {
+        while (!this.endReason) {
+            this.step(dt);
+        }
+        return this.getOutcome();
+    }
+
+    /**
+     * Summary of the run so far
+     */
+    getOutcome() {
+        return {
+            endReason: this.endReason,
+            frames: this.frame,
+            time: this.time,
+            checksum: this.checksum,
+            starsCollected: this.collectedStars.length,
+            totalStars: this.stars.length,
+            collectedStars: this.collectedStars.slice(),
+            trajectory: this.trajectory
+        };
+    }
+
+    /**
+     * Create the marbles for a launch, stacked 0.5 units apart below the start point
+     * @param {Object} start - {x, y}
+     * @param {number} count - Number of marbles
+     * @param {Object} [velocity] - Initial {x, y} velocity
+     * @returns {Array<Marble>}
+     */
+    static createMarbles(start, count, velocity = { x: 0.5, y: 0 }) {
+        const colors = ['#4A90D9', '#E74C3C', '#2ECC71'];
+        const marbles = [];
+
+        for (let i = 0; i < count; i++) {
+            marbles.push(new Marble(start.x, start.y - (i * 0.5), {
+                vx: velocity.x,
+                vy: velocity.y,
+                color: colors[i % colors.length]
+            }));
+        }
+
+        return marbles;
+    }
+
+    /**
+     * Build a simulation from plain level data (also used for run recordings)
+     * @param {Object} level
+     * @param {Array<string|Object>} level.equations - Equation strings or parsed equations
+     * @param {Array} [level.parameters] - Slider parameters ({name, value, ...}) the equation strings use
+     * @param {Array<string>} [level.functions] - Function definitions ("f(x) = ...") the equation strings call, dependencies first
+     * @param {Object} [level.start] - Start position {x, y}
+     * @param {Object} [level.launchVelocity] - Initial velocity {x, y}
+     * @param {Array} [level.stars] - Stars as {x, y, radius}
+     * @param {Object} [level.bounds] - {minX, maxX, minY, maxY}
+     * @param {number} [level.marbleCount] - Defaults to the game's rule: one per equation, at most 3
+     * @param {number} [level.maxFrames] - Hard limit on physics steps
+     * @param {number} [level.maxDuration] - Longest run in simulated seconds
+     * @param {Object} [level.physics] - PhysicsEngine config overrides
+     * @returns {Simulation}
+     */
+    static fromLevel(level) {
+        const parser = new EquationParser();
+        (level.parameters ?? []).forEach(({ name, value }) => {
+            parser.parameters[name] = value;
+        });
+        (level.functions ?? []).forEach(definition => {
+            parser.defineFunction(parser.parseEquation(definition));
+        });
+        const equations = level.equations.map(equation =>
+            typeof equation === 'string' ? parser.parseEquation(equation) : equation
+        );
+
+        // Copy stars so the caller's objects are never marked collected
+        const stars = (level.stars ?? []).map(star => ({ radius: 0.3, ...star, collected: false }));
+
+        const marbles = Simulation.createMarbles(
+            level.start ?? { x: -8, y: 8 },
+            level.marbleCount ?? Math.min(equations.length, 3),
+            level.launchVelocity
+        );
+
+        return new Simulation({
+            physicsConfig: level.physics,
+            equations,
+            marbles,
+            stars,
+            bounds: level.bounds,
+            maxFrames: level.maxFrames,
+            maxDuration: level.maxDuration,
+            recordTrajectory: true
+        });
+    }
+
+    /**
+     * Run a level from plain data and return its outcome
+     * @param {Object} level - See fromLevel
+     * @returns {Object} Run outcome
+     */
+    static run(level) {
+        return Simulation.fromLevel(level).run();
+    }
+
+    /**
+     * Fold a position into a running 32-bit checksum (micro-unit precision)
+     */
+    static mixChecksum(checksum, position) {
+        let hash = Math.imul(checksum ^ Math.round(position.x * 1e6), 0x9E3779B1);
+        hash = Math.imul(hash ^ Math.round(position.y * 1e6), 0x85EBCA77);
+        return (hash ^ (hash >>> 15)) >>> 0;
+    }
+}
+
+// ============================================================================
+// SEEDED RANDOM NUMBERS
+// ============================================================================
+
+/**
+ * Small deterministic random number generator (mulberry32), so a level can
+ * be regenerated from its seed
+ */
+class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed; a random one when omitted
+     */
+    constructor(seed = Math.floor(Math.random() * 2 ** 32)) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// ============================================================================
+// RUN REPLAY
+// ============================================================================
+
+/**
+ * Re-simulates a recorded run and keeps every frame, so it can be scrubbed
+ * back and forth. A recording is a level object (see Simulation.fromLevel)
+ * with equations as strings and the full physics config, plus:
+ *
+ *   { version: 1, seed, ..., outcome: { endReason, frames, checksum } }
+ *
+ * The physics is deterministic for the same inputs and step size, so the
+ * replay matches the original run exactly; matchesRecording() checks that.
+ * Custom forces (functions) cannot be recorded and are not replayed.
+ */
+class Replay {
+    /**
+     * @param {Object} recording - Run recording (see Game.createRecording)
+     */
+    constructor(recording) {
+        this.recording = recording;
+
+        const simulation = Simulation.fromLevel(recording);
+        this.stars = simulation.stars;
+        this.marbles = simulation.marbles;
+
+        // Frame 0 is the launch; frame n is the state after n physics steps
+        this.frames = [this.captureFrame(simulation)];
+        this.starFrames = this.stars.map(() => null); // Frame each star was collected on
+
+        while (!simulation.endReason) {
+            const events = simulation.step();
+            events.starsCollected.forEach(star => {
+                this.starFrames[this.stars.indexOf(star)] = simulation.frame;
+            });
+            this.frames.push(this.captureFrame(simulation));
+        }
+
+        this.outcome = simulation.getOutcome();
+        this.frame = 0;
+        this.applyFrame(0);
+    }
+
+    /** Number of frames, including the launch frame */
+    get frameCount() {
+        return this.frames.length;
+    }
+
+    /**
+     * Whether the replay ended exactly as the recorded run did
+     */
+    matchesRecording() {
+        const recorded = this.recording.outcome;
+        if (!recorded) return true;
+
+        return recorded.endReason === this.outcome.endReason &&
+            recorded.frames === this.outcome.frames &&
+            recorded.checksum === this.outcome.checksum;
+    }
+
+    captureFrame(simulation) {
+        return simulation.marbles.map(marble => ({
+            x: marble.position.x,
+            y: marble.position.y,
+            vx: marble.velocity.x,
+            vy: marble.velocity.y,
+            onPath: marble.onPath,
+            active: marble.active
+        }));
+    }
+
+    /**
+     * Put the replay's marbles and stars in their state at a frame
+     * @param {number} frame - 0 to frameCount - 1
+     */
+    applyFrame(frame) {
+        this.frame = Math.max(0, Math.min(this.frames.length - 1, Math.round(frame)));
+
+        this.marbles.forEach((marble, index) => {
+            const state = this.frames[this.frame][index];
+            marble.position = new Vector2D(state.x, state.y);
+            marble.previousPosition = marble.position.clone();
+            marble.velocity = new Vector2D(state.vx, state.vy);
+            marble.onPath = state.onPath;
+            marble.active = state.active;
+
+            // Rebuild the trail from the frames leading up to this one
+            marble.trail = [];
+            const first = Math.max(0, this.frame - marble.maxTrailLength + 1);
+            for (let i = first; i <= this.frame; i++) {
+                marble.trail.push(new Vector2D(this.frames[i][index].x, this.frames[i][index].y));
+            }
+        });
+
+        this.stars.forEach((star, index) => {
+            star.collected = this.starFrames[index] !== null && this.starFrames[index] <= this.frame;
+        });
+    }
+}
+
+// Make classes available globally (window in the browser, globalThis in Node)
+if (typeof window !== 'undefined') {
+    window.Simulation = Simulation;
+    window.SeededRandom = SeededRandom;
+    window.Replay = Replay;
+} else {
+    Object.assign(globalThis, { Simulation, SeededRandom, Replay });
+}
@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * PHYSICS REGRESSION RUNS
+ * ============================================================================
+ *
+ * Runs example levels headless with Simulation.run and compares each outcome
+ * with the expected one, so physics changes that break ordinary runs show up
+ * before anyone plays them:
+ *
+ *   npm test
+ *
+ * A level passes when it ends for the expected reason with the expected
+ * number of stars; some also check where the lead marble went.
+ *
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './load.mjs';
+
+const MARBLE_RADIUS = 0.2;
+
+/**
+ * Lowest point the lead marble reached before it first moved back up
+ */
+function firstLowPoint(trajectory) {
+    for (let i = 1; i < trajectory.length - 1; i++) {
+        if (trajectory[i].y < trajectory[i - 1].y && trajectory[i + 1].y > trajectory[i].y) {
+            return trajectory[i];
+        }
+    }
+    return trajectory[trajectory.length - 1];
+}
+
+const levels = [
+    {
+        name: 'ramp from the Simulation docs',
+        level: { equations: ['y = -0.5x + 4'], start: { x: -8, y: 8 }, stars: [{ x: 0, y: 4 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'valley',
+        level: { equations: ['y = 0.1x^2 - 5'], start: { x: -8, y: 8 }, stars: [{ x: 0, y: -4.8 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'ramp ending above a floor',
+        level: {
+            equations: ['y = -x + 5 {0 < x < 5}', 'y = -2'],
+            start: { x: 0.5, y: 6 },
+            stars: [{ x: 9, y: -1.8 }]
+        },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'circle',
+        level: { equations: ['x^2 + y^2 = 25'], start: { x: -3, y: 0 }, stars: [{ x: 0, y: -4.8 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'solid terrain',
+        level: { equations: ['y < -0.5x - 3'], start: { x: -8, y: 2 }, stars: [{ x: 0, y: -2.8 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'sticky ramp',
+        level: { equations: ['y = -0.5x @sticky'], start: { x: -8, y: 5 }, stars: [{ x: 4, y: -1.8 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'valley through a water zone',
+        level: { equations: ['y = x^2/8 - 4', 'y < -3 @water'], start: { x: -8, y: 8 }, stars: [{ x: 0, y: -3.8 }] },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'sliders',
+        level: {
+            equations: ['y = a(x - h)^2 + k'],
+            parameters: [{ name: 'a', value: 0.1 }, { name: 'h', value: 0 }, { name: 'k', value: -4 }],
+            start: { x: -8, y: 8 },
+            stars: [{ x: 0, y: -3.8 }]
+        },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'user-defined function',
+        level: {
+            functions: ['f(x) = x^2/10 - 3'],
+            equations: ['y = f(x - 2)'],
+            start: { x: -8, y: 8 },
+            stars: [{ x: 2, y: -2.8 }]
+        },
+        expect: { endReason: 'all_stars', starsCollected: 1 }
+    },
+    {
+        name: 'drop onto a floor bounces on contact, then rests on top',
+        level: { equations: ['y = -6'], start: { x: 0, y: 0 }, launchVelocity: { x: 0, y: 0 } },
+        expect: { endReason: 'at_rest', starsCollected: 0 },
+        check: trajectory => {
+            const low = firstLowPoint(trajectory);
+            if (low.y > -6 + MARBLE_RADIUS + 0.15) {
+                return `bounced at y = ${low.y.toFixed(3)}, before touching the floor`;
+            }
+            const last = trajectory[trajectory.length - 1];
+            if (Math.abs(last.y - (-6 + MARBLE_RADIUS)) > 0.05) {
+                return `came to rest at y = ${last.y.toFixed(3)}, not on top of the floor`;
+            }
+            return null;
+        }
+    },
+    {
+        name: 'marble starting at rest on a curve stays on top',
+        level: { equations: ['y = 0'], start: { x: 0, y: 0 }, launchVelocity: { x: 0, y: 0 } },
+        expect: { endReason: 'at_rest', starsCollected: 0 },
+        check: trajectory => {
+            const last = trajectory[trajectory.length - 1];
+            return Math.abs(last.y - MARBLE_RADIUS) > 0.05
+                ? `came to rest at y = ${last.y.toFixed(3)}, not on top of the curve`
+                : null;
+        }
+    }
+];
+
+for (const { name, level, expect, check } of levels) {
+    test(name, () => {
+        const outcome = Simulation.run(level);
+
+        assert.equal(outcome.endReason, expect.endReason, `ended at frame ${outcome.frames}`);
+        assert.equal(outcome.starsCollected, expect.starsCollected, `collected ${outcome.starsCollected} of ${outcome.totalStars} stars`);
+
+        const problem = check ? check(outcome.trajectory[0]) : null;
+        assert.equal(problem, null);
+    });
+}
@@ -0,0 +1,12 @@
+/**
+ * Loads math.js and the game's browser scripts into Node as globals, in the
+ * order index.html loads them. Import this first in every test file.
+ */
+
+import * as math from 'mathjs';
+
+globalThis.math = math;
+await import('../physics.js');
+await import('../expression.js');
+await import('../equations.js');
+await import('../simulation.js');
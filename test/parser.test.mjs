@@ -0,0 +1,228 @@
+/**
+ * ============================================================================
+ * EQUATION PARSER CHECKS
+ * ============================================================================
+ *
+ * What EquationParser accepts and rejects, the diagnostics it reports for
+ * bad input, and the rules tying sliders and user-defined functions together.
+ *
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './load.mjs';
+
+/**
+ * Diagnostic for an equation that should not parse
+ * @returns {Object} {code, message, start, end, fix, span} where span is the underlined text
+ */
+function diagnose(parser, equationString) {
+    try {
+        parser.parseEquation(equationString);
+    } catch (error) {
+        assert.ok(error instanceof EquationParseError, `${equationString}: ${error.message}`);
+        const { start, end } = error.diagnostic;
+        return { ...error.diagnostic, span: equationString.substring(start, end) };
+    }
+    assert.fail(`"${equationString}" parsed, but should be rejected`);
+}
+
+// ============================================================================
+// DIAGNOSTICS
+// ============================================================================
+
+test('syntax errors report a code and the range to underline', () => {
+    const parser = new EquationParser();
+
+    const incomplete = diagnose(parser, 'y = 2x +');
+    assert.deepEqual([incomplete.code, incomplete.start, incomplete.end], ['incomplete_expression', 8, 8]);
+
+    const unmatched = diagnose(parser, 'y = sin x)');
+    assert.deepEqual([unmatched.code, unmatched.span], ['unmatched_parenthesis', ')']);
+
+    const unexpected = diagnose(parser, 'y = x^2 + $');
+    assert.deepEqual([unexpected.code, unexpected.span], ['unexpected_character', '$']);
+});
+
+test('a syntax error inside one part of an equation points into that part', () => {
+    const parser = new EquationParser();
+
+    const parametric = diagnose(parser, 'x = t, y = (t {0 < t < 1}');
+    assert.deepEqual([parametric.code, parametric.start, parametric.span], ['missing_parenthesis', 11, '(t']);
+
+    const indented = diagnose(parser, '  y = x + (x');
+    assert.deepEqual([indented.start, indented.span], [10, '(x']);
+});
+
+test('a syntax error is placed where it is, even if the same text comes earlier', () => {
+    const parser = new EquationParser();
+    const spans = {
+        '(x + y) = (x': [10, '(x'],
+        '(x + y) < x + (x + y': [14, '(x + y'],
+        'x = (t), y = (t': [13, '(t'],
+        'x = t, y = t {0 < t < (t}': [22, '(t'],
+        '@bouncy y = (y + 1) (y': [20, '(y'],
+        'f(x) = (x': [7, '(x'],
+        'a = 2 + (2': [8, '(2']
+    };
+
+    for (const [equationString, [start, span]] of Object.entries(spans)) {
+        const diagnostic = diagnose(parser, equationString);
+        assert.deepEqual([diagnostic.start, diagnostic.span], [start, span], equationString);
+    }
+});
+
+test('an unknown function is reported with the way to multiply instead', () => {
+    const diagnostic = diagnose(new EquationParser(), 'y = foo(x)');
+    assert.equal(diagnostic.code, 'unknown_function');
+    assert.equal(diagnostic.span, 'foo');
+    assert.match(diagnostic.fix, /f\*o\*o/);
+});
+
+test('a constant line must be a single number', () => {
+    const parser = new EquationParser();
+    assert.equal(parser.parseEquation('x = - 2.5').value, -2.5);
+
+    const diagnostic = diagnose(parser, 'y = 2 3');
+    assert.deepEqual([diagnostic.code, diagnostic.span], ['missing_operator', '2 3']);
+});
+
+test('a known function followed by stray letters is not split into a product', () => {
+    const parser = new EquationParser();
+
+    const cosecant = parser.parseEquation('y = cosec(x) + cot(x)');
+    assert.equal(cosecant.expression, 'csc(x) + cot(x)');
+    assert.deepEqual(cosecant.parameterNames, []);
+
+    const diagnostic = diagnose(parser, 'y = cosa(x)');
+    assert.deepEqual([diagnostic.code, diagnostic.span], ['unknown_function', 'cosa']);
+    assert.match(diagnostic.fix, /cos\(a\*\(\.\.\.\)\)/);
+});
+
+test('errors that are not syntax errors cover the whole equation', () => {
+    const diagnostic = diagnose(new EquationParser(), 'y = x^2 @water');
+    assert.deepEqual([diagnostic.code, diagnostic.start, diagnostic.end], ['invalid_equation', 0, 14]);
+});
+
+// ============================================================================
+// EQUATION TYPES
+// ============================================================================
+
+test('equations are recognised by their shape', () => {
+    const parser = new EquationParser();
+    const types = {
+        'y = 3': 'constant_y',
+        'x = -2.5': 'constant_x',
+        'y = 2x + 1': 'explicit_y',
+        'x = y^2': 'explicit_x',
+        'x^2 + y^2 = 4': 'implicit',
+        'y < x': 'inequality',
+        'r = 2θ': 'polar',
+        'x = cos(t), y = sin(t)': 'parametric',
+        'x = nthroot(t, 3), y = max(t, 0)': 'parametric',
+        'y = nthroot(x, 3)': 'explicit_y',
+        'y = max(sqrt(x), 1)': 'explicit_y',
+        'y = x {x > 0}': 'piecewise'
+    };
+
+    for (const [equationString, type] of Object.entries(types)) {
+        assert.equal(parser.parseEquation(equationString).type, type, equationString);
+    }
+});
+
+// ============================================================================
+// SLIDERS
+// ============================================================================
+
+test('a slider takes its range from annotations and must include its value', () => {
+    const parser = new EquationParser();
+
+    const slider = parser.parseEquation('a = 2 @min=0 @max=4 @step=0.5');
+    assert.deepEqual([slider.type, slider.name, slider.value, slider.min, slider.max, slider.step],
+        ['parameter', 'a', 2, 0, 4, 0.5]);
+
+    assert.match(diagnose(parser, 'a = 2 @min=5').message, /must include a = 2/);
+    assert.match(diagnose(parser, 'a = 2 @step=0').message, /@step needs a positive number/);
+});
+
+test('equations list the sliders they use, but not x, y, t, r or e', () => {
+    const parser = new EquationParser();
+    assert.deepEqual(parser.parseEquation('y = a(x - h)^2 + k e').parameterNames, ['a', 'h', 'k']);
+    assert.deepEqual(parser.parseEquation('x = t, y = b t').parameterNames, ['b']);
+});
+
+test('equations read slider values when they are evaluated', () => {
+    const parser = new EquationParser();
+    const equation = parser.parseEquation('y = a x');
+
+    parser.parameters.a = 2;
+    assert.equal(equation.evaluate(3), 6);
+    parser.parameters.a = -1;
+    assert.equal(equation.evaluate(3), -3);
+});
+
+// ============================================================================
+// USER-DEFINED FUNCTIONS
+// ============================================================================
+
+test('a function definition lists the sliders it uses, not its arguments', () => {
+    const parser = new EquationParser();
+    const definition = parser.parseEquation('f(x) = a x^2 + b');
+
+    assert.equal(definition.type, 'function');
+    assert.deepEqual(definition.parameterNames, ['a', 'b']);
+});
+
+test('equations that call a function record it and follow redefinitions', () => {
+    const parser = new EquationParser();
+    parser.defineFunction(parser.parseEquation('g(x) = x + 1'));
+    parser.defineFunction(parser.parseEquation('f(x) = 2 g(x)'));
+
+    const equation = parser.parseEquation('y = f(x)');
+    assert.deepEqual(equation.functionNames, ['f']);
+    assert.equal(equation.evaluate(1), 4);
+
+    assert.deepEqual(parser.defineFunction(parser.parseEquation('g(x) = x')), ['g', 'f']);
+    assert.equal(parser.parseEquation('y = f(x)').evaluate(1), 2);
+});
+
+test('a function cannot be defined in terms of itself, directly or not', () => {
+    const parser = new EquationParser();
+    assert.match(diagnose(parser, 'f(x) = f(x) + 1').message, /can't be defined in terms of itself/);
+
+    parser.defineFunction(parser.parseEquation('f(x) = x'));
+    parser.defineFunction(parser.parseEquation('g(x) = f(x) + 1'));
+    assert.match(diagnose(parser, 'f(x) = g(x)').message, /f uses g, which already uses f/);
+});
+
+test('a redefinition that breaks a dependent function is rejected', () => {
+    const parser = new EquationParser();
+    parser.defineFunction(parser.parseEquation('f(x) = x'));
+    parser.defineFunction(parser.parseEquation('g(x) = f(x) + 1'));
+
+    assert.throws(() => parser.defineFunction(parser.parseEquation('f(x, y) = x y')), EquationParseError);
+});
+
+test('a name is either a slider or a function, not both', () => {
+    const parser = new EquationParser();
+    parser.defineFunction(parser.parseEquation('f(x) = x'));
+
+    assert.match(diagnose(parser, 'f = 2').message, /f is already a function/);
+    assert.match(diagnose(parser, 'g(x, x) = x').message, /same argument twice/);
+    assert.match(diagnose(parser, 'g(x) = x @min=0').message, /take no annotations/);
+});
+
+test('a slider or function in use is found in equations first, then in functions', () => {
+    const parser = new EquationParser();
+    parser.defineFunction(parser.parseEquation('g(x) = a x'));
+    parser.defineFunction(parser.parseEquation('f(x) = g(x) + 1'));
+
+    assert.equal(parser.findUser('a', [], 'parameterNames').original, 'g(x) = a x');
+    assert.equal(parser.findUser('g', [], 'functionNames').original, 'f(x) = g(x) + 1');
+
+    const equation = parser.parseEquation('y = g(x) + a');
+    assert.equal(parser.findUser('a', [equation], 'parameterNames'), equation);
+    assert.equal(parser.findUser('b', [equation], 'parameterNames'), null);
+    assert.equal(parser.findUser('f', [equation], 'functionNames'), null);
+});
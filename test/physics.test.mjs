@@ -0,0 +1,230 @@
+/**
+ * ============================================================================
+ * PHYSICS AND REPLAY CHECKS
+ * ============================================================================
+ *
+ * Targeted checks for engine features that the level runs only touch in
+ * passing: replays, parameter domains, gravity fields, custom forces,
+ * zones, materials, detach reasons and swept star pickups.
+ *
+ * ============================================================================
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './load.mjs';
+
+const parser = new EquationParser();
+
+/**
+ * Reasons the lead marble left a curve during a run, in order
+ */
+function detachReasons(level) {
+    const simulation = Simulation.fromLevel(level);
+    const lead = simulation.marbles[0];
+    const reasons = [];
+
+    while (!simulation.endReason) {
+        simulation.step().detachments
+            .filter(detachment => detachment.marble === lead)
+            .forEach(detachment => reasons.push(detachment.reason));
+    }
+    return reasons;
+}
+
+/**
+ * Highest point the lead marble reached after its first bounce
+ */
+function reboundHeight(trajectory) {
+    let i = 1;
+    while (i < trajectory.length && trajectory[i].y <= trajectory[i - 1].y) i++;
+    while (i < trajectory.length && trajectory[i].y > trajectory[i - 1].y) i++;
+    return trajectory[i - 1].y;
+}
+
+// ============================================================================
+// REPLAYS
+// ============================================================================
+
+test('a replay rebuilds the recorded run exactly', () => {
+    const level = {
+        equations: ['y = 0.1x^2 - 5', 'y < -4.5 @water'],
+        start: { x: -8, y: 8 },
+        stars: [{ x: 0, y: -4.8 }, { x: 5, y: 0 }],
+        maxFrames: 600
+    };
+    const outcome = Simulation.run(level);
+    const replay = new Replay({ ...level, version: 1, seed: 1, outcome });
+
+    assert.ok(replay.matchesRecording());
+    assert.equal(replay.frameCount, outcome.frames + 1);
+    assert.equal(Simulation.run(level).checksum, outcome.checksum);
+});
+
+test('a replay with different physics does not match its recording', () => {
+    const level = { equations: ['y = -0.5x + 4'], start: { x: -8, y: 8 }, maxFrames: 300 };
+    const outcome = Simulation.run(level);
+    const replay = new Replay({ ...level, physics: { gravity: -5 }, version: 1, seed: 1, outcome });
+
+    assert.equal(replay.matchesRecording(), false);
+});
+
+// ============================================================================
+// PARAMETER DOMAINS
+// ============================================================================
+
+test('a parametric curve is drawn and collided with over the same t range', () => {
+    const equation = parser.parseEquation('x = t, y = 0 {0 < t < 2}');
+    const points = equation.getPoints();
+    assert.deepEqual([points[0].x, points[points.length - 1].x], [0, 2]);
+
+    const physics = new PhysicsEngine();
+    const pathInfo = physics.analyzePathAtPoint(new Marble(5, 0.3), equation);
+    assert.ok(Math.abs(pathInfo.closestPoint.x - 2) < 1e-3, `closest point at x = ${pathInfo.closestPoint.x}`);
+    assert.equal(physics.findNearestPath(new Marble(5, 0.3), [equation], physics.snapDistance), null);
+});
+
+test('a polar curve has no collision outside its θ range', () => {
+    const equation = parser.parseEquation('r = 3 {0 < θ < pi}');
+    assert.ok(equation.getPoints().every(point => point.y >= -1e-9));
+
+    const physics = new PhysicsEngine();
+    assert.notEqual(physics.findNearestPath(new Marble(0, 3.2), [equation], physics.snapDistance), null);
+    assert.equal(physics.findNearestPath(new Marble(0, -3.2), [equation], physics.snapDistance), null);
+});
+
+// ============================================================================
+// IMPLICIT CURVES
+// ============================================================================
+
+test('the closest point on an implicit curve is searched from the nearest index sample', () => {
+    const physics = new PhysicsEngine();
+    const circle = parser.parseEquation('x^2 + y^2 = 25');
+    const marble = new Marble(3.2, 4.1);
+
+    const seed = physics.getPathIndex([circle]).query(marble.position, 1).get(circle);
+    const pathInfo = physics.analyzePathAtPoint(marble, circle, seed);
+    const exact = Math.hypot(3.2, 4.1) - 5;
+
+    assert.ok(Math.abs(pathInfo.distance - exact) < 1e-3, `distance ${pathInfo.distance}, exactly ${exact}`);
+    assert.ok(pathInfo.closestPoint.x >= seed.min.x && pathInfo.closestPoint.x <= seed.max.x);
+});
+
+test('a marble comes to rest on top of a solid region', () => {
+    const outcome = Simulation.run({ equations: ['y < -4'], start: { x: 0, y: -3 }, launchVelocity: { x: 0, y: 0 } });
+    const last = outcome.trajectory[0][outcome.trajectory[0].length - 1];
+
+    assert.equal(outcome.endReason, 'at_rest');
+    assert.ok(Math.abs(last.y - -3.8) < 0.01, `rests at y = ${last.y}`);
+});
+
+// ============================================================================
+// GRAVITY FIELDS AND CUSTOM FORCES
+// ============================================================================
+
+test('radial gravity pulls toward its centre', () => {
+    const field = new GravityField({ uniform: { x: 0, y: 0 }, sources: [{ type: 'radial', x: 0, y: 0, strength: 5 }] });
+    assert.deepEqual(field.at(new Vector2D(3, 0)).toObject(), { x: -5, y: 0 });
+    assert.deepEqual(field.at(new Vector2D(0, -2)).toObject(), { x: 0, y: 5 });
+});
+
+test('an unknown gravity source type is rejected', () => {
+    assert.throws(() => new GravityField({ sources: [{ type: 'magnetic' }] }), /Unknown gravity source type/);
+});
+
+test('a registered force pushes a marble until it is removed', () => {
+    const physics = new PhysicsEngine({ gravity: 0, airDrag: 0 });
+    physics.addForce('wind', Forces.wind({ x: 2, y: 0 }));
+
+    const marble = new Marble(0, 0, { vx: 0, vy: 0 });
+    physics.update(marble, physics.fixedTimeStep, []);
+    assert.ok(marble.velocity.x > 0);
+
+    physics.removeForce('wind');
+    const speed = marble.velocity.x;
+    physics.update(marble, physics.fixedTimeStep, []);
+    assert.equal(marble.velocity.x, speed);
+});
+
+// ============================================================================
+// ZONES AND MATERIALS
+// ============================================================================
+
+test('a zone only changes physics inside its region', () => {
+    const physics = new PhysicsEngine();
+    const water = parser.parseEquation('y < -3 @water');
+
+    const inside = physics.getZoneEffects(new Marble(0, -4), [water]);
+    assert.equal(inside.gravityScale, 0.4);
+    assert.equal(inside.airDrag, 0.8);
+
+    const outside = physics.getZoneEffects(new Marble(0, 0), [water]);
+    assert.equal(outside.gravityScale, 1);
+    assert.equal(outside.airDrag, physics.airDrag);
+});
+
+test('an antigravity zone lifts a marble and is not solid', () => {
+    const physics = new PhysicsEngine();
+    const zone = parser.parseEquation('y < 0 @antigravity');
+    const marble = new Marble(0, -1, { vx: 0, vy: 0 });
+
+    assert.equal(physics.analyzePathAtPoint(marble, zone), null);
+    physics.update(marble, physics.fixedTimeStep, [zone]);
+    assert.ok(marble.velocity.y > 0);
+});
+
+test('a bouncy floor sends a dropped marble higher than a plain one', () => {
+    const drop = equation => Simulation.fromLevel({
+        equations: [equation],
+        start: { x: 0, y: 0 },
+        launchVelocity: { x: 0, y: 0 },
+        maxFrames: 240
+    });
+    const rebound = equation => {
+        const simulation = drop(equation);
+        while (!simulation.endReason) simulation.step();
+        return reboundHeight(simulation.getOutcome().trajectory[0]);
+    };
+
+    assert.ok(rebound('y = -6 @bouncy') > rebound('y = -6') + 0.5);
+});
+
+test('material and zone annotations go on the right kind of equation', () => {
+    assert.deepEqual(parser.parseEquation('y = x^2 @bouncy @friction=0.1').material, { bounciness: 0.95, friction: 0.1 });
+    assert.throws(() => parser.parseEquation('y = x^2 @water'), /Zones can only be applied to inequalities/);
+    assert.throws(() => parser.parseEquation('y < 0 @shiny'), /Unknown annotation @shiny/);
+});
+
+// ============================================================================
+// DETACHING
+// ============================================================================
+
+test('a marble too fast for a hump leaves it for the centripetal reason', () => {
+    const reasons = detachReasons({ equations: ['y = -x^2'], start: { x: 0, y: 0.2 }, launchVelocity: { x: 8, y: 0 } });
+    assert.equal(reasons[0], 'centripetal');
+});
+
+test('a slow marble slides off a steep slope unless it is sticky', () => {
+    const level = { start: { x: 0, y: 0.25 }, launchVelocity: { x: 0, y: 0 } };
+    assert.equal(detachReasons({ ...level, equations: ['y = 3x'] })[0], 'slope');
+    assert.deepEqual(detachReasons({ ...level, equations: ['y = 3x @sticky'] }), []);
+});
+
+test('low gravity in a zone makes a marble leave a hump it would otherwise follow', () => {
+    const level = { start: { x: 0, y: 0.2 }, launchVelocity: { x: 3, y: 0 }, maxFrames: 120 };
+    assert.deepEqual(detachReasons({ ...level, equations: ['y = -x^2/2'] }), []);
+    assert.equal(detachReasons({ ...level, equations: ['y = -x^2/2', 'y < 10 @zone @gravity=0.25'] })[0], 'centripetal');
+});
+
+// ============================================================================
+// STAR PICKUPS
+// ============================================================================
+
+test('a marble that passes through a star within one step collects it', () => {
+    const physics = new PhysicsEngine();
+    const marble = new Marble(2, 0);
+    marble.previousPosition = new Vector2D(-2, 0);
+
+    assert.ok(physics.checkCollision(marble, { x: 0, y: 0.3, radius: 0.3 }));
+    assert.equal(physics.checkCollision(marble, { x: 0, y: 1, radius: 0.3 }), false);
+});
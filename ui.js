@@ -7,20 +7,43 @@
 class UIManager {
     constructor() {
         this.equationInput = document.getElementById('equationInput');
+        this.equationHighlight = document.getElementById('equationHighlight');
+        this.equationError = document.getElementById('equationError');
         this.addEquationBtn = document.getElementById('addEquationBtn');
         this.launchBtn = document.getElementById('launchBtn');
         this.resetBtn = document.getElementById('resetBtn');
         this.newLevelBtn = document.getElementById('newLevelBtn');
+        this.pauseBtn = document.getElementById('pauseBtn');
+        this.stepBtn = document.getElementById('stepBtn');
+        this.speedSelect = document.getElementById('speedSelect');
+        this.debugBtn = document.getElementById('debugBtn');
+        this.replayBtn = document.getElementById('replayBtn');
+        this.shareRunBtn = document.getElementById('shareRunBtn');
+        this.loadRunBtn = document.getElementById('loadRunBtn');
+        this.replayControls = document.getElementById('replayControls');
+        this.replayTimeline = document.getElementById('replayTimeline');
+        this.replayFrame = document.getElementById('replayFrame');
         this.equationsList = document.getElementById('equationsList');
+        this.parametersList = document.getElementById('parametersList');
+        this.functionsList = document.getElementById('functionsList');
         this.feedback = document.getElementById('feedback');
         this.starsCollected = document.getElementById('starsCollected');
         this.totalStars = document.getElementById('totalStars');
         this.currentLevel = document.getElementById('currentLevel');
         this.startX = document.getElementById('startX');
         this.startY = document.getElementById('startY');
+        this.launchVX = document.getElementById('launchVX');
+        this.launchVY = document.getElementById('launchVY');
+        this.previewMode = document.getElementById('previewMode');
+
+        /** Largest launch velocity component accepted from the inputs or the aim arrow */
+        this.maxLaunchSpeed = 15;
 
         this.feedbackTimeout = null;
+        this.slidersEnabled = true; // Sliders are locked while a run is in progress
         this.setupEventListeners();
+        this.updateRunControls(false, false);
+        this.updateRecordingControls(false);
     }
 
     setupEventListeners() {
@@ -42,6 +65,18 @@ class UIManager {
                     }
                 }
             });
+
+            // A parse error stops applying once the equation is edited
+            this.equationInput.addEventListener('input', () => {
+                this.clearEquationError();
+            });
+
+            // Keep the error underline aligned when long equations scroll
+            this.equationInput.addEventListener('scroll', () => {
+                if (this.equationHighlight) {
+                    this.equationHighlight.scrollLeft = this.equationInput.scrollLeft;
+                }
+            });
         }
 
         // Launch button
@@ -71,6 +106,77 @@ class UIManager {
             });
         }
 
+        // Pause / resume button
+        if (this.pauseBtn) {
+            this.pauseBtn.addEventListener('click', () => {
+                if (window.game) {
+                    window.game.togglePause();
+                }
+            });
+        }
+
+        // Single-step button
+        if (this.stepBtn) {
+            this.stepBtn.addEventListener('click', () => {
+                if (window.game) {
+                    window.game.stepOnce();
+                }
+            });
+        }
+
+        // Simulation speed
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => {
+                if (window.game) {
+                    window.game.setSpeed(parseFloat(this.speedSelect.value));
+                }
+            });
+        }
+
+        // Debug overlay toggle
+        if (this.debugBtn) {
+            this.debugBtn.addEventListener('click', () => {
+                if (window.game) {
+                    window.game.toggleDebugOverlay();
+                }
+            });
+        }
+
+        // Replay of the last (or a loaded) run
+        if (this.replayBtn) {
+            this.replayBtn.addEventListener('click', () => {
+                if (window.game) {
+                    window.game.startReplay();
+                }
+            });
+        }
+
+        if (this.shareRunBtn) {
+            this.shareRunBtn.addEventListener('click', () => {
+                if (window.game) {
+                    window.game.shareRecording();
+                }
+            });
+        }
+
+        if (this.loadRunBtn) {
+            this.loadRunBtn.addEventListener('click', () => {
+                const text = window.prompt('Paste a shared run:');
+                if (text && window.game) {
+                    window.game.loadRecording(text);
+                }
+            });
+        }
+
+        // Scrubbing the timeline pauses the replay at that frame
+        if (this.replayTimeline) {
+            this.replayTimeline.addEventListener('input', () => {
+                if (window.game) {
+                    window.game.scrubReplay(parseInt(this.replayTimeline.value, 10));
+                }
+            });
+        }
+
         // Coordinate input validation
         if (this.startX) {
             this.startX.addEventListener('input', () => {
@@ -83,6 +189,15 @@ class UIManager {
                 this.validateCoordinateInput(this.startY);
             });
         }
+
+        // Launch velocity input validation
+        [this.launchVX, this.launchVY].forEach(input => {
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.validateVelocityInput(input);
+                });
+            }
+        });
     }
 
     validateCoordinateInput(input) {
@@ -94,6 +209,15 @@ class UIManager {
         }
     }
 
+    validateVelocityInput(input) {
+        const value = parseFloat(input.value);
+        if (isNaN(value) || Math.abs(value) > this.maxLaunchSpeed) {
+            input.style.borderColor = '#ef4444';
+        } else {
+            input.style.borderColor = '';
+        }
+    }
+
     getStartPosition() {
         const x = parseFloat(this.startX?.value) || -8;
         const y = parseFloat(this.startY?.value) || 8;
@@ -104,6 +228,40 @@ class UIManager {
         };
     }
 
+    setStartPosition(position) {
+        if (this.startX) this.startX.value = position.x;
+        if (this.startY) this.startY.value = position.y;
+    }
+
+    getLaunchVelocity() {
+        const limit = this.maxLaunchSpeed;
+        const vx = parseFloat(this.launchVX?.value);
+        const vy = parseFloat(this.launchVY?.value);
+
+        return {
+            x: isNaN(vx) ? 0.5 : Math.max(-limit, Math.min(limit, vx)),
+            y: isNaN(vy) ? 0 : Math.max(-limit, Math.min(limit, vy))
+        };
+    }
+
+    /**
+     * Trajectory preview assist: 'off', 'short', 'detach' or 'full'
+     */
+    getPreviewMode() {
+        return this.previewMode?.value ?? 'off';
+    }
+
+    setLaunchVelocity(velocity) {
+        if (this.launchVX) {
+            this.launchVX.value = Math.round(velocity.x * 10) / 10;
+            this.validateVelocityInput(this.launchVX);
+        }
+        if (this.launchVY) {
+            this.launchVY.value = Math.round(velocity.y * 10) / 10;
+            this.validateVelocityInput(this.launchVY);
+        }
+    }
+
     showFeedback(message, type = 'info') {
         if (!this.feedback) return;
 
@@ -149,13 +307,156 @@ class UIManager {
         });
     }
 
+    /**
+     * One slider per parameter; moving it updates the value live
+     * (the list is only rebuilt when sliders are added, replaced or removed)
+     */
+    updateParametersList(parameters) {
+        if (!this.parametersList) return;
+
+        this.parametersList.innerHTML = '';
+
+        parameters.forEach((parameter, index) => {
+            const item = document.createElement('div');
+            item.className = 'parameter-item';
+
+            const name = document.createElement('span');
+            name.className = 'parameter-name';
+            name.textContent = `${parameter.name} =`;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = parameter.min;
+            slider.max = parameter.max;
+            slider.step = parameter.step;
+            slider.value = parameter.value;
+            slider.disabled = !this.slidersEnabled;
+
+            const value = document.createElement('span');
+            value.className = 'parameter-value';
+            value.textContent = this.formatParameterValue(parameter.value, parameter.step);
+
+            slider.addEventListener('input', () => {
+                const newValue = parseFloat(slider.value);
+                value.textContent = this.formatParameterValue(newValue, parameter.step);
+                if (window.game) {
+                    window.game.setParameter(parameter.name, newValue);
+                }
+            });
+
+            const buttons = document.createElement('div');
+            buttons.className = 'equation-buttons';
+            buttons.innerHTML = `
+                <button class="edit-btn" title="Change range and step" onclick="window.game.editParameter(${index})">✏️</button>
+                <button class="remove-btn" onclick="window.game.removeParameter(${index})">✕</button>
+            `;
+
+            item.append(name, slider, value, buttons);
+            this.parametersList.appendChild(item);
+        });
+    }
+
+    /**
+     * User-defined functions (f(x) = ...), in the order they were defined
+     */
+    updateFunctionsList(functions) {
+        if (!this.functionsList) return;
+
+        this.functionsList.innerHTML = '';
+
+        functions.forEach(definition => {
+            const item = document.createElement('div');
+            item.className = 'equation-item';
+
+            item.innerHTML = `
+                <div class="equation-text" title="${definition.original}">${definition.original}</div>
+                <div class="equation-buttons">
+                    <button class="edit-btn" onclick="window.game.editFunction('${definition.name}')">✏️</button>
+                    <button class="remove-btn" onclick="window.game.removeFunction('${definition.name}')">✕</button>
+                </div>
+            `;
+
+            this.functionsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Show a slider value with as many decimals as its step
+     */
+    formatParameterValue(value, step) {
+        const decimals = (String(step).split('.')[1] ?? '').length;
+        return value.toFixed(decimals);
+    }
+
+    setSlidersEnabled(enabled) {
+        this.slidersEnabled = enabled;
+        if (!this.parametersList) return;
+
+        this.parametersList.querySelectorAll('input[type="range"]').forEach(slider => {
+            slider.disabled = !enabled;
+        });
+    }
+
     updateStats(starsCollected, totalStars, level) {
         if (this.starsCollected) this.starsCollected.textContent = starsCollected;
         if (this.totalStars) this.totalStars.textContent = totalStars;
         if (this.currentLevel) this.currentLevel.textContent = level;
     }
 
+    /**
+     * Point at a parse error: underline its span in the equation input and the
+     * keyboard preview, and show the message with its suggested fix
+     * @param {string} equationString - The text that failed to parse
+     * @param {Object} diagnostic - { code, message, start, end, fix } from EquationParser
+     */
+    showEquationError(equationString, diagnostic) {
+        if (this.equationHighlight) {
+            this.renderErrorSpan(this.equationHighlight, equationString, diagnostic);
+            this.equationHighlight.scrollLeft = this.equationInput?.scrollLeft ?? 0;
+        }
+
+        if (this.equationError) {
+            this.equationError.textContent = diagnostic.message;
+            if (diagnostic.fix) {
+                const fix = document.createElement('div');
+                fix.className = 'eq-error-fix';
+                fix.textContent = `💡 ${diagnostic.fix}`;
+                this.equationError.appendChild(fix);
+            }
+            this.equationError.hidden = false;
+        }
+
+        if (window.mathKeyboard) {
+            window.mathKeyboard.showError(equationString, diagnostic);
+        }
+    }
+
+    clearEquationError() {
+        if (this.equationHighlight) this.equationHighlight.textContent = '';
+        if (this.equationError) {
+            this.equationError.textContent = '';
+            this.equationError.hidden = true;
+        }
+        if (window.mathKeyboard) {
+            window.mathKeyboard.clearError();
+        }
+    }
+
+    /**
+     * Fill an element with text, wrapping the diagnostic's [start, end) range in
+     * an .error-span (an empty range, e.g. a missing end, marks one blank character)
+     */
+    renderErrorSpan(element, text, diagnostic) {
+        const span = document.createElement('span');
+        span.className = 'error-span';
+        span.textContent = text.substring(diagnostic.start, diagnostic.end) || '\u00a0';
+
+        element.textContent = '';
+        element.append(text.substring(0, diagnostic.start), span, text.substring(diagnostic.end));
+    }
+
     clearInput() {
+        this.clearEquationError();
         if (this.equationInput) {
             this.equationInput.value = '';
             // Also update the keyboard preview if available
@@ -165,6 +466,55 @@ class UIManager {
         }
     }
 
+    /**
+     * Enable the pause/step buttons only while a run is in progress
+     * (sliders the other way round, so a run keeps the values it launched with)
+     */
+    updateRunControls(running, paused) {
+        this.setButtonState(this.pauseBtn, running);
+        this.setButtonState(this.stepBtn, running);
+        this.setSlidersEnabled(!running);
+
+        if (this.pauseBtn) {
+            this.pauseBtn.textContent = paused ? '▶️ Resume' : '⏸️ Pause';
+        }
+    }
+
+    /**
+     * Enable replay/share once there is a recorded run
+     */
+    updateRecordingControls(hasRecording) {
+        this.setButtonState(this.replayBtn, hasRecording);
+        this.setButtonState(this.shareRunBtn, hasRecording);
+    }
+
+    showReplayControls(frameCount) {
+        if (!this.replayControls) return;
+
+        this.replayControls.hidden = false;
+        if (this.replayTimeline) {
+            this.replayTimeline.max = frameCount - 1;
+        }
+        this.setReplayFrame(0, frameCount);
+    }
+
+    hideReplayControls() {
+        if (this.replayControls) {
+            this.replayControls.hidden = true;
+        }
+    }
+
+    setReplayFrame(frame, frameCount) {
+        if (this.replayTimeline) this.replayTimeline.value = frame;
+        if (this.replayFrame) this.replayFrame.textContent = `${frame} / ${frameCount - 1}`;
+    }
+
+    setDebugOverlay(enabled) {
+        if (this.debugBtn) {
+            this.debugBtn.classList.toggle('active', enabled);
+        }
+    }
+
     setButtonState(button, enabled) {
         if (!button) return;
 